@@ -0,0 +1,13 @@
+// config/credentials.js
+
+// Credentials and health requirements that expire and must be renewed
+const CREDENTIAL_TYPES = [
+  "license",
+  "tb_screening",
+  "immunization",
+  "cpr_certification",
+  "background_check",
+  "other",
+];
+
+module.exports = { CREDENTIAL_TYPES };
@@ -0,0 +1,25 @@
+// config/documents.js
+
+// What a supporting document proves. `form_type` optionally ties it to the
+// onboarding form it backs up (e.g. a license for the compliance statement).
+const DOCUMENT_REQUIREMENTS = [
+  "license",
+  "tb_test",
+  "immunization_record",
+  "background_check",
+  "drug_screening",
+  "identification",
+  "other",
+];
+
+// Accepted uploads, keyed by mime type with the file signature to check
+const ALLOWED_FILE_TYPES = {
+  "application/pdf": { extension: "pdf", signature: [0x25, 0x50, 0x44, 0x46] },
+  "image/png": { extension: "png", signature: [0x89, 0x50, 0x4e, 0x47] },
+  "image/jpeg": { extension: "jpg", signature: [0xff, 0xd8, 0xff] },
+};
+
+const MAX_UPLOAD_SIZE =
+  (parseInt(process.env.MAX_UPLOAD_SIZE_MB, 10) || 10) * 1024 * 1024;
+
+module.exports = { DOCUMENT_REQUIREMENTS, ALLOWED_FILE_TYPES, MAX_UPLOAD_SIZE };
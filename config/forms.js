@@ -0,0 +1,347 @@
+// config/forms.js
+const Joi = require("joi");
+const { isValidRoutingNumber } = require("../utils/nacha");
+const { isMasked } = require("../utils/encryption");
+const { validateDrawnSignature } = require("../utils/signatureImages");
+const { SIGNATURE_MODES, MAX_TYPED_SIGNATURE_LENGTH } = require("./signatures");
+
+// Validation schemas for each form
+const complianceStatementSchema = Joi.object({
+  employee_name: Joi.string().required(),
+  employee_id: Joi.string().required(),
+  position: Joi.string().required(),
+  start_date: Joi.date().required(),
+  background_check_completed: Joi.boolean().required(),
+  drug_screening_completed: Joi.boolean().required(),
+  licensure_verification: Joi.boolean().required(),
+  tb_testing_completed: Joi.boolean().required(),
+  required_immunizations_current: Joi.boolean().required(),
+  electronic_signature: Joi.string().required(),
+  signature_date: Joi.date().required(),
+});
+
+const confidentialityAgreementSchema = Joi.object({
+  employee_name: Joi.string().required(),
+  employee_id: Joi.string().required(),
+  department: Joi.string().required(),
+  maintain_confidentiality: Joi.boolean().required(),
+  no_solicitation_agreement: Joi.boolean().required(),
+  privacy_regulations_compliance: Joi.boolean().required(),
+  hipaa_compliance_acknowledgment: Joi.boolean().required(),
+  electronic_signature: Joi.string().required(),
+  signature_date: Joi.date().required(),
+});
+
+const directDepositSchema = Joi.object({
+  employee_name: Joi.string().required(),
+  employee_id: Joi.string().required(),
+  bank_name: Joi.string().required(),
+  // A masked value echoed back stands for the stored routing number, which
+  // is checked when the submission is saved
+  routing_number: Joi.string()
+    .custom((value, helpers) => {
+      if (isMasked(value)) return value;
+      if (!/^\d{9}$/.test(value)) return helpers.error("routingNumber.format");
+      return isValidRoutingNumber(value)
+        ? value
+        : helpers.error("routingNumber.checksum");
+    })
+    .required()
+    .messages({
+      "routingNumber.format": "routing_number must be 9 digits",
+      "routingNumber.checksum":
+        "routing_number is not a valid ABA routing number",
+    }),
+  account_number: Joi.string().required(),
+  account_type: Joi.string().valid("checking", "savings").required(),
+  deposit_type: Joi.string().valid("full_amount", "partial_amount").required(),
+  authorization_agreement: Joi.boolean().required(),
+  electronic_signature: Joi.string().required(),
+  signature_date: Joi.date().required(),
+});
+
+const fieldPracticeSchema = Joi.object({
+  employee_name: Joi.string().required(),
+  employee_id: Joi.string().required(),
+  practice_guidelines_acknowledged: Joi.boolean().required(),
+  field_procedures_understood: Joi.boolean().required(),
+  safety_protocols_agreed: Joi.boolean().required(),
+  electronic_signature: Joi.string().required(),
+  signature_date: Joi.date().required(),
+});
+
+const hepatitisBSchema = Joi.object({
+  employee_name: Joi.string().required(),
+  date_of_hire: Joi.date().required(),
+  social_security_number: Joi.string().optional(),
+  vaccine_choice: Joi.string().valid("waive", "receive").required(),
+  series_1_date: Joi.date().optional(),
+  series_2_date: Joi.date().optional(),
+  series_3_date: Joi.date().optional(),
+  employee_signature: Joi.string().required(),
+  mmo_rep_signature: Joi.string().optional(),
+  signature_date: Joi.date().required(),
+});
+
+const healthStatementSchema = Joi.object({
+  employee_name: Joi.string().required(),
+  employee_id: Joi.string().required(),
+  chronic_medical_conditions: Joi.string().allow(""),
+  current_medications: Joi.string().allow(""),
+  known_allergies: Joi.string().allow(""),
+  immunizations_current: Joi.boolean().required(),
+  tb_screening_completed: Joi.boolean().required(),
+  health_insurance_coverage: Joi.boolean().required(),
+  emergency_contact_name: Joi.string().required(),
+  emergency_contact_phone: Joi.string().required(),
+  emergency_contact_relationship: Joi.string().required(),
+  electronic_signature: Joi.string().required(),
+  signature_date: Joi.date().required(),
+});
+
+const influenzaDeclinationSchema = Joi.object({
+  employee_name: Joi.string().required(),
+  employee_id: Joi.string().required(),
+  acknowledgment_read: Joi.boolean().required(),
+  mask_requirement_understood: Joi.boolean().required(),
+  declination_signature: Joi.string().required(),
+  witness_signature: Joi.string().allow("").optional(),
+  signature_date: Joi.date().required(),
+  witness_date: Joi.date().allow(null).optional(),
+});
+
+const jobAcceptanceSchema = Joi.object({
+  employee_name: Joi.string().required(),
+  employee_id: Joi.string().required(),
+  position_accepted: Joi.string().required(),
+  start_date: Joi.date().required(),
+  salary_acknowledged: Joi.boolean().required(),
+  benefits_understood: Joi.boolean().required(),
+  electronic_signature: Joi.string().required(),
+  signature_date: Joi.date().required(),
+});
+
+const jobDescriptionSchema = Joi.object({
+  employee_name: Joi.string().required(),
+  employee_id: Joi.string().required(),
+  job_duties_understood: Joi.boolean().required(),
+  responsibilities_acknowledged: Joi.boolean().required(),
+  requirements_met: Joi.boolean().required(),
+  electronic_signature: Joi.string().required(),
+  signature_date: Joi.date().required(),
+});
+
+const ppeAcknowledgementSchema = Joi.object({
+  employee_name: Joi.string().required(),
+  employee_id: Joi.string().required(),
+  ppe_training_completed: Joi.boolean().required(),
+  equipment_received: Joi.boolean().required(),
+  usage_guidelines_understood: Joi.boolean().required(),
+  electronic_signature: Joi.string().required(),
+  signature_date: Joi.date().required(),
+});
+
+const policiesProceduresSchema = Joi.object({
+  employee_name: Joi.string().required(),
+  employee_id: Joi.string().required(),
+  policies_read: Joi.boolean().required(),
+  procedures_understood: Joi.boolean().required(),
+  compliance_agreed: Joi.boolean().required(),
+  electronic_signature: Joi.string().required(),
+  signature_date: Joi.date().required(),
+});
+
+const handbookAcknowledgmentSchema = Joi.object({
+  employee_name: Joi.string().required(),
+  employee_id: Joi.string().required(),
+  handbook_received: Joi.boolean().required(),
+  handbook_read: Joi.boolean().required(),
+  policies_understood: Joi.boolean().required(),
+  electronic_signature: Joi.string().required(),
+  signature_date: Joi.date().required(),
+});
+
+const tbQuestionnaireSchema = Joi.object({
+  employee_name: Joi.string().required(),
+  employee_id: Joi.string().required(),
+  tb_symptoms_present: Joi.boolean().required(),
+  tb_exposure_history: Joi.boolean().required(),
+  chest_xray_completed: Joi.boolean().required(),
+  medical_clearance: Joi.boolean().required(),
+  electronic_signature: Joi.string().required(),
+  signature_date: Joi.date().required(),
+});
+
+const isSignatureField = (field) => field.endsWith("signature");
+
+const typedSignature = Joi.string().max(MAX_TYPED_SIGNATURE_LENGTH);
+const drawnSignature = Joi.string().custom(validateDrawnSignature);
+
+// Rebuild the signature fields of a form schema to accept the given
+// signature modes, keeping each field's presence and allowed values
+const withSignatureModes = (schema, modes) => {
+  const { keys } = schema.describe();
+
+  return schema.keys(
+    Object.keys(keys)
+      .filter(isSignatureField)
+      .reduce((acc, field) => {
+        const { flags = {}, allow = [] } = keys[field];
+        const alternatives = [
+          modes.includes("drawn") && drawnSignature,
+          modes.includes("typed") && typedSignature,
+        ].filter(Boolean);
+
+        let fieldSchema =
+          alternatives.length > 1
+            ? Joi.alternatives().try(...alternatives)
+            : alternatives[0];
+        if (allow.length) fieldSchema = fieldSchema.allow(...allow);
+        acc[field] =
+          flags.presence === "required"
+            ? fieldSchema.required()
+            : fieldSchema.optional();
+        return acc;
+      }, {})
+  );
+};
+
+// Registry of onboarding form types. `type` is the route slug used under
+// /api/onboarding, `table` the Supabase table holding submissions,
+// `required` whether the form counts towards onboarding completion,
+// `sensitiveFields` the columns encrypted at rest and masked in responses
+// `resetOnResubmit` columns cleared when an employee resubmits and
+// `signatureModes` whether signature fields take a typed name, a drawn image
+// or either (typed only by default).
+const FORM_TYPES = [
+  {
+    type: "compliance-statement",
+    table: "compliance_statements",
+    title: "Compliance Statement",
+    required: true,
+    schema: complianceStatementSchema,
+  },
+  {
+    type: "confidentiality-agreement",
+    table: "confidentiality_agreements",
+    title: "Confidentiality Agreement",
+    required: true,
+    schema: confidentialityAgreementSchema,
+  },
+  {
+    type: "direct-deposit",
+    table: "direct_deposit_authorizations",
+    title: "Direct Deposit Authorization",
+    required: true,
+    schema: directDepositSchema,
+    sensitiveFields: ["routing_number", "account_number"],
+    // New bank details have to be prenoted again
+    resetOnResubmit: ["nacha_exported_at", "nacha_export_id"],
+  },
+  {
+    type: "field-practice",
+    table: "field_practice_statements",
+    title: "Field Practice Statement",
+    required: true,
+    schema: fieldPracticeSchema,
+  },
+  {
+    type: "hepatitis-b",
+    table: "hepatitis_b_vaccinations",
+    title: "Hepatitis B Vaccination Form",
+    required: true,
+    schema: hepatitisBSchema,
+    sensitiveFields: ["social_security_number"],
+    signatureModes: ["drawn"],
+  },
+  {
+    type: "health-statement",
+    table: "health_statements",
+    title: "Health Statement",
+    required: true,
+    schema: healthStatementSchema,
+  },
+  {
+    type: "influenza-declination",
+    table: "influenza_vaccination_declinations",
+    title: "Influenza Vaccination Declination",
+    required: false,
+    schema: influenzaDeclinationSchema,
+    signatureModes: ["drawn"],
+  },
+  {
+    type: "job-acceptance",
+    table: "job_acceptance_forms",
+    title: "Job Acceptance Form",
+    required: true,
+    schema: jobAcceptanceSchema,
+  },
+  {
+    type: "job-description",
+    table: "job_description_acknowledgments",
+    title: "Job Description Acknowledgment",
+    required: true,
+    schema: jobDescriptionSchema,
+  },
+  {
+    type: "ppe-acknowledgement",
+    table: "ppe_acknowledgements",
+    title: "PPE Acknowledgement",
+    required: true,
+    schema: ppeAcknowledgementSchema,
+  },
+  {
+    type: "policies-procedures",
+    table: "policies_procedures_statements",
+    title: "Policies & Procedures Statement",
+    required: true,
+    schema: policiesProceduresSchema,
+  },
+  {
+    type: "handbook-acknowledgment",
+    table: "employee_handbook_acknowledgments",
+    title: "Employee Handbook Acknowledgment",
+    required: true,
+    schema: handbookAcknowledgmentSchema,
+  },
+  {
+    type: "tb-questionnaire",
+    table: "tb_medical_questionnaires",
+    title: "TB Medical Questionnaire",
+    required: true,
+    schema: tbQuestionnaireSchema,
+  },
+].map((form) => {
+  const signatureModes = form.signatureModes || ["typed"];
+  const unknownModes = signatureModes.filter(
+    (mode) => !SIGNATURE_MODES.includes(mode)
+  );
+  if (unknownModes.length) {
+    throw new Error(
+      `Unknown signature mode for ${form.type}: ${unknownModes.join(", ")}`
+    );
+  }
+
+  return {
+    ...form,
+    signatureModes,
+    signatureFields: Object.keys(form.schema.describe().keys).filter(
+      isSignatureField
+    ),
+    schema: withSignatureModes(form.schema, signatureModes),
+  };
+});
+
+const getFormType = (type) => FORM_TYPES.find((form) => form.type === type);
+
+// Table for each form type, keyed by route slug
+const FORM_TABLES = FORM_TYPES.reduce((acc, form) => {
+  acc[form.type] = form.table;
+  return acc;
+}, {});
+
+// Review states stored in each form table's review_status column.
+// New submissions default to "pending" at the database level.
+const REVIEW_STATUSES = ["pending", "approved", "rejected", "needs_changes"];
+
+module.exports = { FORM_TYPES, FORM_TABLES, REVIEW_STATUSES, getFormType };
@@ -0,0 +1,32 @@
+// config/offboarding.js
+
+const TERMINATION_REASONS = [
+  "resignation",
+  "termination",
+  "layoff",
+  "retirement",
+  "contract_end",
+  "other",
+];
+
+// Checklist every departing employee goes through, keyed by task
+const OFFBOARDING_TASKS = {
+  equipment_return: {
+    title: "PPE and equipment returned",
+    description: "Badge, keys, PPE and any issued equipment collected",
+  },
+  exit_acknowledgement: {
+    title: "Exit acknowledgment signed",
+    description: "Employee acknowledged their exit terms and obligations",
+  },
+  final_direct_deposit: {
+    title: "Final direct deposit handled",
+    description:
+      "Final paycheck deposited and the direct deposit authorization closed",
+  },
+};
+
+// How long a deactivated account stays banned from signing in (100 years)
+const LOGIN_BAN_DURATION = "876000h";
+
+module.exports = { TERMINATION_REASONS, OFFBOARDING_TASKS, LOGIN_BAN_DURATION };
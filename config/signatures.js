@@ -0,0 +1,25 @@
+// config/signatures.js
+
+// How a signature field can be filled in: a typed name, or a drawn image
+// submitted as a base64 data URL
+const SIGNATURE_MODES = ["typed", "drawn"];
+
+// Accepted drawn signature formats, keyed by mime type. PNG is checked
+// against its file signature; SVG content is checked for scripts instead.
+const SIGNATURE_IMAGE_TYPES = {
+  "image/png": { extension: "png", signature: [0x89, 0x50, 0x4e, 0x47] },
+  "image/svg+xml": { extension: "svg" },
+};
+
+const MAX_SIGNATURE_SIZE =
+  (parseInt(process.env.MAX_SIGNATURE_SIZE_KB, 10) || 100) * 1024;
+
+// Longest accepted typed signature
+const MAX_TYPED_SIGNATURE_LENGTH = 200;
+
+module.exports = {
+  SIGNATURE_MODES,
+  SIGNATURE_IMAGE_TYPES,
+  MAX_SIGNATURE_SIZE,
+  MAX_TYPED_SIGNATURE_LENGTH,
+};
@@ -0,0 +1,85 @@
+// jobs/credentialCompliance.js
+const { supabaseAdmin } = require("../config/supabase");
+const { fetchAll } = require("../utils/pagination");
+
+// The user ids whose latest verified credential of some type has expired.
+// Older rows left behind by a renewal, and dates nobody has verified yet,
+// don't count.
+const findExpiredUserIds = async (now) => {
+  const data = await fetchAll(() =>
+    supabaseAdmin
+      .from("credentials")
+      .select("id, user_id, credential_type, expires_at")
+      .not("verified_at", "is", null)
+      .order("id")
+  );
+
+  const latest = new Map();
+  for (const row of data) {
+    const key = `${row.user_id}:${row.credential_type}`;
+    const current = latest.get(key);
+    if (!current || new Date(row.expires_at) > new Date(current.expires_at)) {
+      latest.set(key, row);
+    }
+  }
+
+  return [
+    ...new Set(
+      [...latest.values()]
+        .filter((row) => new Date(row.expires_at) < new Date(now))
+        .map((row) => row.user_id)
+    ),
+  ];
+};
+
+// Ids go in the request URL, so large sets are updated in batches
+const ID_BATCH_SIZE = 200;
+
+const updateUsers = async (ids, changes) => {
+  for (let i = 0; i < ids.length; i += ID_BATCH_SIZE) {
+    const { error } = await supabaseAdmin
+      .from("users")
+      .update(changes)
+      .in("id", ids.slice(i, i + ID_BATCH_SIZE));
+
+    if (error) {
+      throw error;
+    }
+  }
+};
+
+// Flag employees holding an expired credential as non-compliant and clear
+// the flag once nothing of theirs is expired anymore
+const runCredentialComplianceCheck = async () => {
+  const now = new Date().toISOString();
+  const expiredUserIds = await findExpiredUserIds(now);
+
+  const flagged = await fetchAll(() =>
+    supabaseAdmin
+      .from("users")
+      .select("id")
+      .eq("compliance_status", "non_compliant")
+      .order("id")
+  );
+
+  const flaggedUserIds = flagged.map((row) => row.id);
+  const toClear = flaggedUserIds.filter((id) => !expiredUserIds.includes(id));
+
+  await updateUsers(expiredUserIds, {
+    compliance_status: "non_compliant",
+    compliance_checked_at: now,
+  });
+  await updateUsers(toClear, {
+    compliance_status: "compliant",
+    compliance_checked_at: now,
+  });
+
+  return {
+    non_compliant: expiredUserIds.length,
+    newly_flagged: expiredUserIds.filter((id) => !flaggedUserIds.includes(id))
+      .length,
+    cleared: toClear.length,
+  };
+};
+
+module.exports = { runCredentialComplianceCheck };
@@ -0,0 +1,42 @@
+// jobs/index.js
+const { runCredentialComplianceCheck } = require("./credentialCompliance");
+const { runOnboardingReminders } = require("./onboardingReminders");
+const { failStaleImports } = require("../utils/employeeImport");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STALE_IMPORTS_INTERVAL_MS = 15 * 60 * 1000;
+
+// Run a job now and then every intervalMs, never overlapping with itself
+const schedule = (name, intervalMs, job) => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const result = await job();
+      console.log(`Job ${name} finished:`, result);
+    } catch (error) {
+      console.error(`Job ${name} failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  setTimeout(run, 0).unref();
+  setInterval(run, intervalMs).unref();
+};
+
+// Start background jobs. Set DISABLE_JOBS=true on extra instances so only
+// one server runs them.
+const startJobs = () => {
+  if (process.env.DISABLE_JOBS === "true") {
+    return;
+  }
+
+  schedule("credential-compliance", DAY_MS, runCredentialComplianceCheck);
+  schedule("onboarding-reminders", DAY_MS, runOnboardingReminders);
+  schedule("stale-imports", STALE_IMPORTS_INTERVAL_MS, failStaleImports);
+};
+
+module.exports = { startJobs };
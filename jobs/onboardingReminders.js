@@ -0,0 +1,188 @@
+// jobs/onboardingReminders.js
+const { supabaseAdmin } = require("../config/supabase");
+const { FORM_TYPES } = require("../config/forms");
+const { createNotifications } = require("../utils/notifications");
+const { SUBMITTED_STATUSES } = require("../utils/onboardingProgress");
+const { fetchAll } = require("../utils/pagination");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Urgency by days left until start_date, checked in order. Employees
+// starting further out than the last level are not reminded yet.
+const REMINDER_LEVELS = [
+  { urgency: "overdue", maxDaysLeft: -1 },
+  { urgency: "urgent", maxDaysLeft: 3 },
+  { urgency: "reminder", maxDaysLeft: 14 },
+];
+
+const getUrgency = (daysLeft) => {
+  const level = REMINDER_LEVELS.find((item) => daysLeft <= item.maxDaysLeft);
+  return level ? level.urgency : null;
+};
+
+const daysUntil = (date, now) => {
+  const start = new Date(date);
+  const today = new Date(now);
+  start.setUTCHours(0, 0, 0, 0);
+  today.setUTCHours(0, 0, 0, 0);
+  return Math.round((start - today) / DAY_MS);
+};
+
+const describeDeadline = (daysLeft) => {
+  if (daysLeft < 0) {
+    return `the start date passed ${-daysLeft} day(s) ago`;
+  }
+  if (daysLeft === 0) {
+    return "the start date is today";
+  }
+  return `the start date is in ${daysLeft} day(s)`;
+};
+
+// onboarding_progress is embedded as an object or a one-row array
+const getFormStatus = (employee) => {
+  const progress = employee.onboarding_progress;
+  const row = (Array.isArray(progress) ? progress[0] : progress) || {};
+  return row.form_status || {};
+};
+
+// Managers to notify about an employee: their direct manager when set,
+// otherwise the active managers of their department
+const findManagers = (employee, managers) => {
+  if (employee.manager_id) {
+    return managers.filter((manager) => manager.id === employee.manager_id);
+  }
+
+  return managers.filter(
+    (manager) =>
+      manager.role === "manager" &&
+      manager.department &&
+      manager.department === employee.department &&
+      manager.id !== employee.id
+  );
+};
+
+// Create in-app reminders for employees whose required forms are still
+// missing as their start_date approaches, for them and their managers.
+// Each recipient gets at most one unread reminder per employee and urgency
+// level, so reminders repeat only when they escalate or were read.
+const runOnboardingReminders = async () => {
+  const now = new Date();
+  const requiredForms = FORM_TYPES.filter((form) => form.required);
+  const horizon = new Date(
+    now.getTime() +
+      REMINDER_LEVELS[REMINDER_LEVELS.length - 1].maxDaysLeft * DAY_MS
+  );
+
+  const employees = await fetchAll(() =>
+    supabaseAdmin
+      .from("users")
+      .select(
+        `
+        id, full_name, department, manager_id, start_date, onboarding_status,
+        onboarding_progress (form_status)
+      `
+      )
+      .eq("role", "employee")
+      .eq("is_active", true)
+      .neq("onboarding_status", "completed")
+      .not("start_date", "is", null)
+      .lte("start_date", horizon.toISOString())
+      .order("id")
+  );
+
+  if (!employees.length) {
+    return { employees: 0, reminded: 0, notifications: 0 };
+  }
+
+  const managers = await fetchAll(() =>
+    supabaseAdmin
+      .from("users")
+      .select("id, role, department")
+      .in("role", ["admin", "manager"])
+      .eq("is_active", true)
+      .order("id")
+  );
+
+  const unread = await fetchAll(() =>
+    supabaseAdmin
+      .from("notifications")
+      .select("user_id, urgency, metadata")
+      .eq("type", "onboarding_reminder")
+      .is("read_at", null)
+      .order("id")
+  );
+
+  const reminderKey = (userId, employeeId, urgency) =>
+    `${userId}:${employeeId}:${urgency}`;
+  const pending = new Set(
+    unread.map((row) =>
+      reminderKey(
+        row.user_id,
+        row.metadata && row.metadata.employee_id,
+        row.urgency
+      )
+    )
+  );
+
+  const notifications = [];
+  let reminded = 0;
+
+  for (const employee of employees) {
+    const statuses = getFormStatus(employee);
+    const missing = requiredForms.filter(
+      (form) => !SUBMITTED_STATUSES.includes(statuses[form.type])
+    );
+    const daysLeft = daysUntil(employee.start_date, now);
+    const urgency = getUrgency(daysLeft);
+
+    if (!missing.length || !urgency) {
+      continue;
+    }
+
+    const metadata = {
+      employee_id: employee.id,
+      start_date: employee.start_date,
+      days_until_start: daysLeft,
+      missing_forms: missing.map((form) => form.type),
+    };
+    const deadline = describeDeadline(daysLeft);
+    const recipients = [
+      {
+        user_id: employee.id,
+        title: "Complete your onboarding forms",
+        message: `You still have ${missing.length} required form(s) to complete and ${deadline}.`,
+      },
+      ...findManagers(employee, managers).map((manager) => ({
+        user_id: manager.id,
+        title: `${employee.full_name} has incomplete onboarding`,
+        message: `${employee.full_name} still has ${missing.length} required form(s) to complete and ${deadline}.`,
+      })),
+    ].filter(
+      (recipient) =>
+        !pending.has(reminderKey(recipient.user_id, employee.id, urgency))
+    );
+
+    if (recipients.length) {
+      reminded += 1;
+    }
+
+    for (const recipient of recipients) {
+      notifications.push({
+        ...recipient,
+        type: "onboarding_reminder",
+        urgency,
+        metadata,
+      });
+    }
+  }
+
+  await createNotifications(notifications);
+
+  return {
+    employees: employees.length,
+    reminded,
+    notifications: notifications.length,
+  };
+};
+
+module.exports = { runOnboardingReminders };
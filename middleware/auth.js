@@ -1,43 +1,70 @@
 // middleware/auth.js
 const { supabase } = require("../config/supabase");
+const {
+  getAssuranceLevel,
+  getVerifiedFactors,
+  getMfaRequiredRoles,
+} = require("../utils/mfa");
+const { canAccessUser } = require("../utils/access");
 
-const authenticateToken = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    const token = authHeader && authHeader.split(" ")[1];
+// Users with a verified 2FA factor must present an aal2 token. Pass
+// allowPendingMfa to accept their aal1 token (second login step only).
+const authenticate = ({ allowPendingMfa = false } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const authHeader = req.headers.authorization;
+      const token = authHeader && authHeader.split(" ")[1];
 
-    if (!token) {
-      return res.status(401).json({ error: "Access token required" });
-    }
+      if (!token) {
+        return res.status(401).json({ error: "Access token required" });
+      }
 
-    const {
-      data: { user },
-      error,
-    } = await supabase.auth.getUser(token);
+      const {
+        data: { user },
+        error,
+      } = await supabase.auth.getUser(token);
 
-    if (error || !user) {
-      return res.status(401).json({ error: "Invalid or expired token" });
-    }
+      if (error || !user) {
+        return res.status(401).json({ error: "Invalid or expired token" });
+      }
 
-    // Get user profile with role
-    const { data: profile, error: profileError } = await supabase
-      .from("users")
-      .select("*")
-      .eq("id", user.id)
-      .single();
+      const mfaVerified = getAssuranceLevel(token) === "aal2";
+      if (!allowPendingMfa && getVerifiedFactors(user).length && !mfaVerified) {
+        return res.status(401).json({
+          error: "Two-factor verification required",
+          mfa_required: true,
+        });
+      }
 
-    if (profileError || !profile) {
-      return res.status(401).json({ error: "User profile not found" });
-    }
+      // Get user profile with role
+      const { data: profile, error: profileError } = await supabase
+        .from("users")
+        .select("*")
+        .eq("id", user.id)
+        .single();
 
-    req.user = { ...user, ...profile };
-    next();
-  } catch (error) {
-    console.error("Auth middleware error:", error);
-    res.status(500).json({ error: "Authentication failed" });
-  }
+      if (profileError || !profile) {
+        return res.status(401).json({ error: "User profile not found" });
+      }
+
+      // Offboarded users are turned away even with a token issued earlier
+      if (profile.is_active === false) {
+        return res.status(403).json({ error: "Account is deactivated" });
+      }
+
+      req.user = { ...user, ...profile, mfa_verified: mfaVerified };
+      req.accessToken = token;
+      next();
+    } catch (error) {
+      console.error("Auth middleware error:", error);
+      res.status(500).json({ error: "Authentication failed" });
+    }
+  };
 };
 
+const authenticateToken = authenticate();
+const authenticatePendingMfa = authenticate({ allowPendingMfa: true });
+
 const requireRole = (roles) => {
   return (req, res, next) => {
     if (!req.user || !roles.includes(req.user.role)) {
@@ -47,4 +74,48 @@ const requireRole = (roles) => {
   };
 };
 
-module.exports = { authenticateToken, requireRole };
+// Only let through users allowed to see the user named by req.params[param]
+// (themselves, admins, or the manager of that employee's team)
+const requireUserAccess = (param = "id") => {
+  return async (req, res, next) => {
+    try {
+      if (!(await canAccessUser(req.user, req.params[param]))) {
+        return res.status(403).json({ error: "Insufficient permissions" });
+      }
+      next();
+    } catch (error) {
+      console.error("User access check error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  };
+};
+
+// Block roles that an admin has required 2FA for until a factor is enrolled
+const requireMfaEnrollment = async (req, res, next) => {
+  try {
+    const roles = await getMfaRequiredRoles();
+
+    if (
+      req.user &&
+      roles.includes(req.user.role) &&
+      !getVerifiedFactors(req.user).length
+    ) {
+      return res.status(403).json({
+        error: "Two-factor authentication must be enabled for your role",
+        mfa_enrollment_required: true,
+      });
+    }
+    next();
+  } catch (error) {
+    console.error("MFA policy check error:", error);
+    res.status(500).json({ error: "Authentication failed" });
+  }
+};
+
+module.exports = {
+  authenticateToken,
+  authenticatePendingMfa,
+  requireRole,
+  requireUserAccess,
+  requireMfaEnrollment,
+};
@@ -0,0 +1,28 @@
+// middleware/upload.js
+const multer = require("multer");
+
+// Accept one file in the "file" field, kept in memory, and answer upload
+// problems with a 400. `label` names the file in the size limit message.
+const singleFileUpload = ({ maxSize, label = "File", fileFilter }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSize, files: 1 },
+    fileFilter,
+  });
+
+  return (req, res, next) => {
+    upload.single("file")(req, res, (error) => {
+      if (error) {
+        return res.status(400).json({
+          error:
+            error.code === "LIMIT_FILE_SIZE"
+              ? `${label} exceeds the ${maxSize / 1024 / 1024} MB limit`
+              : error.message,
+        });
+      }
+      next();
+    });
+  };
+};
+
+module.exports = { singleFileUpload };
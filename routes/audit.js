@@ -0,0 +1,73 @@
+// routes/audit.js
+const express = require("express");
+const Joi = require("joi");
+const { supabaseAdmin } = require("../config/supabase");
+const { requireRole } = require("../middleware/auth");
+const router = express.Router();
+
+const auditQuerySchema = Joi.object({
+  user_id: Joi.string().uuid().optional(),
+  actor_id: Joi.string().uuid().optional(),
+  action: Joi.string().optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(25),
+});
+
+// Query the audit trail (admin only)
+router.get("/", requireRole(["admin"]), async (req, res) => {
+  try {
+    const { error: validationError, value } = auditQuerySchema.validate(
+      req.query
+    );
+    if (validationError) {
+      return res
+        .status(400)
+        .json({ error: validationError.details[0].message });
+    }
+
+    const { user_id, actor_id, action, from, to, page, limit } = value;
+
+    let query = supabaseAdmin
+      .from("audit_logs")
+      .select("*", { count: "exact" })
+      .order("created_at", { ascending: false });
+
+    // Apply filters
+    if (user_id) query = query.eq("target_id", user_id);
+    if (actor_id) query = query.eq("actor_id", actor_id);
+    if (action) {
+      // "form.*" matches every form action
+      query = action.endsWith(".*")
+        ? query.like("action", `${action.slice(0, -1)}%`)
+        : query.eq("action", action);
+    }
+    if (from) query = query.gte("created_at", from.toISOString());
+    if (to) query = query.lte("created_at", to.toISOString());
+
+    // Pagination
+    const offset = (page - 1) * limit;
+    query = query.range(offset, offset + limit - 1);
+
+    const { data, error, count } = await query;
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({
+      logs: data,
+      pagination: {
+        page,
+        limit,
+        total: count,
+      },
+    });
+  } catch (error) {
+    console.error("Get audit logs error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
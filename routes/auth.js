@@ -1,17 +1,57 @@
+const crypto = require("crypto");
 const express = require("express");
 const Joi = require("joi");
 const { supabase, supabaseAdmin } = require("../config/supabase");
+const {
+  authenticateToken,
+  authenticatePendingMfa,
+  requireRole,
+  requireMfaEnrollment,
+} = require("../middleware/auth");
+const { recordAudit } = require("../utils/audit");
+const { sendEmail } = require("../utils/notifications");
+const {
+  enrollTotp,
+  verifyTotp,
+  unenrollFactor,
+  getVerifiedFactors,
+  getMfaRequiredRoles,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  countRecoveryCodes,
+  resetUserMfa,
+} = require("../utils/mfa");
+const {
+  setSetting,
+  claimSetting,
+  deleteSetting,
+} = require("../utils/settings");
+const {
+  signupSchema,
+  createStaffAccount,
+  createEmployeeAccount,
+  countActiveAdmins,
+} = require("../utils/accounts");
+const {
+  claimInvitation,
+  releaseInvitation,
+  completeInvitation,
+} = require("../utils/invitations");
 const router = express.Router();
 
 // Validation schemas
-const signupSchema = Joi.object({
+const bootstrapSchema = Joi.object({
+  bootstrap_token: Joi.string().required(),
   email: Joi.string().email().required(),
   password: Joi.string().min(8).required(),
-  role: Joi.string().valid("admin", "manager", "employee").default("employee"),
   full_name: Joi.string().required(),
   department: Joi.string().allow("").optional(),
   position: Joi.string().allow("").optional(),
-  start_date: Joi.date().allow(null).optional(),
+});
+
+// Employees can only sign up through an invitation
+const employeeSignupSchema = signupSchema.keys({
+  invitation_token: Joi.string().required(),
 });
 
 const loginSchema = Joi.object({
@@ -19,122 +59,110 @@ const loginSchema = Joi.object({
   password: Joi.string().required(),
 });
 
-// Employee Signup (self-registration)
+const enableTwoFactorSchema = Joi.object({
+  factorType: Joi.string()
+    .valid("totp")
+    .required()
+    .messages({ "any.only": "Only TOTP factors are supported" }),
+  friendlyName: Joi.string().max(64).optional(),
+});
+
+const verifyTwoFactorSchema = Joi.object({
+  factor_id: Joi.string().uuid().optional(),
+  code: Joi.string()
+    .pattern(/^\d{6}$/)
+    .required(),
+});
+
+const recoveryLoginSchema = Joi.object({
+  recovery_code: Joi.string().required(),
+});
+
+const mfaPolicySchema = Joi.object({
+  roles: Joi.array()
+    .items(Joi.string().valid("admin", "manager", "employee"))
+    .unique()
+    .required(),
+});
+
+// User fields returned on a successful login
+const toLoginUser = (userData) => ({
+  id: userData.id,
+  email: userData.email,
+  employee_id: userData.employee_id,
+  full_name: userData.full_name,
+  role: userData.role,
+  onboarding_status: userData.onboarding_status,
+  department: userData.department,
+  position: userData.position,
+});
+
+// Employee Signup (requires an invitation)
 router.post("/signup/employee", async (req, res) => {
   try {
-    const { error: validationError, value } = signupSchema.validate(req.body);
+    const { error: validationError, value } = employeeSignupSchema.validate(
+      req.body
+    );
     if (validationError) {
       return res
         .status(400)
         .json({ error: validationError.details[0].message });
     }
 
-    const { email, password, full_name, department, position, start_date } =
-      value;
+    const { email, password, full_name, invitation_token } = value;
 
-    // Create user in Supabase Auth with metadata
-    const { data: authData, error: authError } =
-      await supabaseAdmin.auth.admin.createUser({
-        email,
-        password,
-        email_confirm: true,
-        user_metadata: {
-          role: "employee",
-          full_name,
-          department,
-          position,
-          start_date,
-        },
-      });
-
-    if (authError) {
-      console.error("Auth creation error:", authError);
-      return res.status(400).json({ error: authError.message });
-    }
-
-    // Wait a moment for the trigger to create basic user record
-    await new Promise((resolve) => setTimeout(resolve, 1000));
-
-    // Generate employee ID
-    const { data: employeeIdResult, error: idError } = await supabaseAdmin.rpc(
-      "generate_employee_id"
+    const { invitation, error: invitationError } = await claimInvitation(
+      invitation_token,
+      email
     );
 
-    if (idError) {
-      console.error("Error generating employee ID:", idError);
-      return res.status(500).json({ error: "Failed to generate employee ID" });
+    if (invitationError) {
+      return res.status(400).json({ error: invitationError });
     }
 
-    // Update the user record created by the trigger with additional info
-    const { data: userData, error: userError } = await supabaseAdmin
-      .from("users")
-      .update({
-        full_name,
-        department: department || null,
-        position: position || null,
-        start_date: start_date || null,
-        employee_id: employeeIdResult,
-        role: "employee",
-        updated_at: new Date().toISOString(),
-      })
-      .eq("id", authData.user.id)
-      .select()
-      .single();
+    // Fields prefilled by the admin on the invitation take precedence
+    const department = invitation.department || value.department;
+    const position = invitation.position || value.position;
+    const start_date = invitation.start_date || value.start_date;
+
+    const {
+      user: userData,
+      error: accountError,
+      authUser,
+    } = await createEmployeeAccount({
+      email,
+      password,
+      full_name,
+      department,
+      position,
+      start_date,
+    });
 
-    if (userError) {
-      console.error("Error updating user profile:", userError);
-
-      // Fallback: try to insert if update failed (in case trigger didn't work)
-      const { data: insertedUserData, error: insertError } = await supabaseAdmin
-        .from("users")
-        .insert({
-          id: authData.user.id,
-          email: authData.user.email,
-          full_name,
-          department: department || null,
-          position: position || null,
-          start_date: start_date || null,
-          employee_id: employeeIdResult,
-          role: "employee",
-          created_at: new Date().toISOString(),
-          updated_at: new Date().toISOString(),
-        })
-        .select()
-        .single();
-
-      if (insertError) {
-        console.error("Error inserting user profile:", insertError);
-        return res.status(500).json({ error: "Failed to create user profile" });
+    if (accountError) {
+      if (authUser) {
+        await completeInvitation(invitation.id, authUser.id);
+      } else {
+        await releaseInvitation(invitation.id);
       }
+      return res
+        .status(accountError.status)
+        .json({ error: accountError.message });
+    }
 
-      // Use inserted data if update failed
-      const finalUserData = insertedUserData;
-
-      // Ensure onboarding progress record exists
-      const { error: progressError } = await supabaseAdmin
-        .from("onboarding_progress")
-        .insert({
-          user_id: authData.user.id,
-          started_at: new Date().toISOString(),
-        });
+    await completeInvitation(invitation.id, userData.id);
 
-      if (progressError && progressError.code !== "23505") {
-        // Ignore duplicate key error
-        console.error("Error creating onboarding progress:", progressError);
-      }
+    await recordAudit(req, {
+      action: "auth.signup",
+      actorId: userData.id,
+      targetType: "user",
+      targetId: userData.id,
+      after: userData,
+      metadata: { invitation_id: invitation.id },
+    });
 
-      return res.status(201).json({
-        message: "Employee account created successfully",
-        user: {
-          id: finalUserData.id,
-          email: finalUserData.email,
-          employee_id: finalUserData.employee_id,
-          full_name: finalUserData.full_name,
-          role: finalUserData.role,
-          onboarding_status: finalUserData.onboarding_status || "pending",
-        },
-      });
-    }
+    await sendEmail("welcome", userData.email, userData, {
+      userId: userData.id,
+    });
 
     res.status(201).json({
       message: "Employee account created successfully",
@@ -154,102 +182,121 @@ router.post("/signup/employee", async (req, res) => {
 });
 
 // Admin/Manager Signup (admin only)
-router.post("/signup/admin", async (req, res) => {
+router.post(
+  "/signup/admin",
+  authenticateToken,
+  requireMfaEnrollment,
+  requireRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { error: validationError, value } = signupSchema.validate(req.body);
+      if (validationError) {
+        return res
+          .status(400)
+          .json({ error: validationError.details[0].message });
+      }
+
+      const { role } = value;
+
+      if (!["admin", "manager"].includes(role)) {
+        return res.status(400).json({ error: "Invalid role for admin signup" });
+      }
+
+      const { user, error } = await createStaffAccount(value);
+
+      if (error) {
+        return res.status(error.status).json({ error: error.message });
+      }
+
+      await recordAudit(req, {
+        action: "auth.signup",
+        targetType: "user",
+        targetId: user.id,
+        after: user,
+      });
+
+      res.status(201).json({
+        message: `${role} account created successfully`,
+        user: {
+          id: user.id,
+          email: user.email,
+          full_name: user.full_name,
+          role: user.role,
+        },
+      });
+    } catch (error) {
+      console.error("Admin signup error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Bootstrap the very first admin. Needs BOOTSTRAP_TOKEN and only works
+// while no admin exists; afterwards admins are created via /signup/admin.
+router.post("/signup/bootstrap", async (req, res) => {
   try {
-    const { error: validationError, value } = signupSchema.validate(req.body);
+    const { error: validationError, value } = bootstrapSchema.validate(
+      req.body
+    );
     if (validationError) {
       return res
         .status(400)
         .json({ error: validationError.details[0].message });
     }
 
-    const { email, password, role, full_name, department, position } = value;
-
-    if (!["admin", "manager"].includes(role)) {
-      return res.status(400).json({ error: "Invalid role for admin signup" });
+    const { bootstrap_token, ...account } = value;
+    const expected = process.env.BOOTSTRAP_TOKEN;
+
+    if (
+      !expected ||
+      bootstrap_token.length !== expected.length ||
+      !crypto.timingSafeEqual(
+        Buffer.from(bootstrap_token),
+        Buffer.from(expected)
+      )
+    ) {
+      return res.status(403).json({ error: "Invalid bootstrap token" });
     }
 
-    const { data: authData, error: authError } =
-      await supabaseAdmin.auth.admin.createUser({
-        email,
-        password,
-        email_confirm: true,
-        user_metadata: {
-          role,
-          full_name,
-          department,
-          position,
-        },
-      });
-
-    if (authError) {
-      console.error("Auth creation error:", authError);
-      return res.status(400).json({ error: authError.message });
+    // Claim the bootstrap before creating the account so it runs only once
+    if (
+      (await countActiveAdmins()) > 0 ||
+      !(await claimSetting("bootstrap_completed", true))
+    ) {
+      return res
+        .status(403)
+        .json({ error: "Bootstrap has already been completed" });
     }
 
-    // Wait for trigger
-    await new Promise((resolve) => setTimeout(resolve, 1000));
-
-    // Update user profile
-    const { data: userData, error: userError } = await supabaseAdmin
-      .from("users")
-      .update({
-        full_name,
-        department: department || null,
-        position: position || null,
-        role,
-        updated_at: new Date().toISOString(),
-      })
-      .eq("id", authData.user.id)
-      .select()
-      .single();
-
-    if (userError) {
-      console.error("Error updating admin/manager profile:", userError);
-
-      // Fallback insert
-      const { data: insertedUserData, error: insertError } = await supabaseAdmin
-        .from("users")
-        .insert({
-          id: authData.user.id,
-          email: authData.user.email,
-          full_name,
-          department: department || null,
-          position: position || null,
-          role,
-          created_at: new Date().toISOString(),
-          updated_at: new Date().toISOString(),
-        })
-        .select()
-        .single();
-
-      if (insertError) {
-        console.error("Error inserting admin/manager profile:", insertError);
-        return res.status(500).json({ error: "Failed to create user profile" });
-      }
+    const { user, error } = await createStaffAccount({
+      ...account,
+      role: "admin",
+    });
 
-      return res.status(201).json({
-        message: `${role} account created successfully`,
-        user: {
-          id: insertedUserData.id,
-          email: insertedUserData.email,
-          full_name: insertedUserData.full_name,
-          role: insertedUserData.role,
-        },
-      });
+    if (error) {
+      await deleteSetting("bootstrap_completed");
+      return res.status(error.status).json({ error: error.message });
     }
 
+    await recordAudit(req, {
+      action: "auth.bootstrap",
+      actorId: user.id,
+      targetType: "user",
+      targetId: user.id,
+      after: user,
+    });
+
     res.status(201).json({
-      message: `${role} account created successfully`,
+      message: "admin account created successfully",
       user: {
-        id: userData.id,
-        email: userData.email,
-        full_name: userData.full_name,
-        role: userData.role,
+        id: user.id,
+        email: user.email,
+        full_name: user.full_name,
+        role: user.role,
       },
     });
   } catch (error) {
-    console.error("Admin signup error:", error);
+    console.error("Bootstrap admin error:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
@@ -273,6 +320,11 @@ router.post("/login", async (req, res) => {
       });
 
     if (authError) {
+      await recordAudit(req, {
+        action: "auth.login_failed",
+        actorId: null,
+        metadata: { email },
+      });
       return res.status(401).json({ error: "Invalid credentials" });
     }
 
@@ -288,19 +340,43 @@ router.post("/login", async (req, res) => {
       return res.status(500).json({ error: "Failed to fetch user profile" });
     }
 
+    if (userData.is_active === false) {
+      await recordAudit(req, {
+        action: "auth.login_failed",
+        actorId: null,
+        targetType: "user",
+        targetId: userData.id,
+        metadata: { email, reason: "deactivated" },
+      });
+      return res.status(403).json({ error: "Account is deactivated" });
+    }
+
+    // Enrolled users finish logging in through /login/verify-2fa; until then
+    // this session is only accepted by the second login step
+    const factors = getVerifiedFactors(authData.user);
+    if (factors.length) {
+      return res.json({
+        message: "Two-factor verification required",
+        mfa_required: true,
+        factor_id: factors[0].id,
+        session: authData.session,
+      });
+    }
+
+    const requiredRoles = await getMfaRequiredRoles();
+
+    await recordAudit(req, {
+      action: "auth.login",
+      actorId: userData.id,
+      targetType: "user",
+      targetId: userData.id,
+    });
+
     res.json({
       message: "Login successful",
-      user: {
-        id: userData.id,
-        email: userData.email,
-        employee_id: userData.employee_id,
-        full_name: userData.full_name,
-        role: userData.role,
-        onboarding_status: userData.onboarding_status,
-        department: userData.department,
-        position: userData.position,
-      },
+      user: toLoginUser(userData),
       session: authData.session,
+      mfa_enrollment_required: requiredRoles.includes(userData.role),
     });
   } catch (error) {
     console.error("Login error:", error);
@@ -308,22 +384,359 @@ router.post("/login", async (req, res) => {
   }
 });
 
-// Enable 2FA
-router.post("/enable-2fa", async (req, res) => {
+// Second login step: verify a TOTP code for an aal1 session
+router.post("/login/verify-2fa", authenticatePendingMfa, async (req, res) => {
+  try {
+    const { error: validationError, value } = verifyTwoFactorSchema.validate(
+      req.body
+    );
+    if (validationError) {
+      return res
+        .status(400)
+        .json({ error: validationError.details[0].message });
+    }
+
+    const factors = getVerifiedFactors(req.user);
+    const factorId = value.factor_id || (factors[0] && factors[0].id);
+
+    if (!factors.some((factor) => factor.id === factorId)) {
+      return res.status(400).json({ error: "No verified 2FA factor found" });
+    }
+
+    const { data: session, error } = await verifyTotp(
+      req.accessToken,
+      factorId,
+      value.code
+    );
+
+    if (error) {
+      await recordAudit(req, {
+        action: "auth.login_failed",
+        targetType: "user",
+        targetId: req.user.id,
+        metadata: { reason: "invalid_2fa_code" },
+      });
+      return res.status(401).json({ error: "Invalid verification code" });
+    }
+
+    await recordAudit(req, {
+      action: "auth.login",
+      targetType: "user",
+      targetId: req.user.id,
+      metadata: { mfa: "totp" },
+    });
+
+    res.json({
+      message: "Login successful",
+      user: toLoginUser(req.user),
+      session,
+    });
+  } catch (error) {
+    console.error("2FA login error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Second login step with a one-time recovery code. The user's factors are
+// removed, so the aal1 session becomes usable and a new factor must be
+// enrolled.
+router.post("/login/recovery", authenticatePendingMfa, async (req, res) => {
   try {
-    const { factorType } = req.body;
+    const { error: validationError, value } = recoveryLoginSchema.validate(
+      req.body
+    );
+    if (validationError) {
+      return res
+        .status(400)
+        .json({ error: validationError.details[0].message });
+    }
+
+    const accepted = await consumeRecoveryCode(
+      req.user.id,
+      value.recovery_code
+    );
+
+    if (!accepted) {
+      await recordAudit(req, {
+        action: "auth.login_failed",
+        targetType: "user",
+        targetId: req.user.id,
+        metadata: { reason: "invalid_recovery_code" },
+      });
+      return res.status(401).json({ error: "Invalid recovery code" });
+    }
+
+    await resetUserMfa(req.user.id);
+
+    await recordAudit(req, {
+      action: "auth.login",
+      targetType: "user",
+      targetId: req.user.id,
+      metadata: { mfa: "recovery_code" },
+    });
+
+    res.json({
+      message:
+        "Recovery code accepted. Two-factor authentication has been reset, please enroll a new factor.",
+      user: toLoginUser(req.user),
+      mfa_reset: true,
+    });
+  } catch (error) {
+    console.error("Recovery code login error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Enable 2FA: start TOTP enrollment
+router.post("/enable-2fa", authenticateToken, async (req, res) => {
+  try {
+    const { error: validationError, value } = enableTwoFactorSchema.validate(
+      req.body
+    );
+    if (validationError) {
+      return res
+        .status(400)
+        .json({ error: validationError.details[0].message });
+    }
+
+    // Drop abandoned enrollments so the user can start over
+    for (const factor of req.user.factors || []) {
+      if (factor.status !== "verified") {
+        await unenrollFactor(req.accessToken, factor.id);
+      }
+    }
+
+    const { data, error } = await enrollTotp(
+      req.accessToken,
+      value.friendlyName || `Authenticator ${Date.now()}`
+    );
 
-    if (!["totp", "phone"].includes(factorType)) {
-      return res.status(400).json({ error: "Invalid factor type" });
+    if (error) {
+      return res.status(400).json({ error: error.message });
     }
 
-    res.json({ message: "2FA setup initiated" });
+    res.json({
+      message: "2FA setup initiated",
+      factor_id: data.id,
+      secret: data.totp.secret,
+      uri: data.totp.uri,
+      qr_code: data.totp.qr_code,
+    });
   } catch (error) {
     console.error("2FA setup error:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
+// Confirm 2FA enrollment with the first code from the authenticator app
+router.post("/2fa/verify", authenticateToken, async (req, res) => {
+  try {
+    const { error: validationError, value } = verifyTwoFactorSchema.validate(
+      req.body
+    );
+    if (validationError) {
+      return res
+        .status(400)
+        .json({ error: validationError.details[0].message });
+    }
+
+    if (!value.factor_id) {
+      return res.status(400).json({ error: '"factor_id" is required' });
+    }
+
+    const { data: session, error } = await verifyTotp(
+      req.accessToken,
+      value.factor_id,
+      value.code
+    );
+
+    if (error) {
+      return res.status(400).json({ error: "Invalid verification code" });
+    }
+
+    // Recovery codes are issued with the first verified factor
+    const recoveryCodes = getVerifiedFactors(req.user).length
+      ? null
+      : await generateRecoveryCodes(req.user.id);
+
+    await recordAudit(req, {
+      action: "auth.2fa_enroll",
+      targetType: "user",
+      targetId: req.user.id,
+      metadata: { factor_id: value.factor_id },
+    });
+
+    res.json({
+      message: "2FA enabled successfully",
+      session,
+      recovery_codes: recoveryCodes,
+    });
+  } catch (error) {
+    console.error("2FA verify error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// 2FA status of the current user
+router.get("/2fa/status", authenticateToken, async (req, res) => {
+  try {
+    const requiredRoles = await getMfaRequiredRoles();
+
+    res.json({
+      enabled: getVerifiedFactors(req.user).length > 0,
+      required: requiredRoles.includes(req.user.role),
+      factors: (req.user.factors || []).map((factor) => ({
+        id: factor.id,
+        friendly_name: factor.friendly_name,
+        factor_type: factor.factor_type,
+        status: factor.status,
+        created_at: factor.created_at,
+      })),
+      recovery_codes_remaining: await countRecoveryCodes(req.user.id),
+    });
+  } catch (error) {
+    console.error("2FA status error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Replace the current user's recovery codes
+router.post("/2fa/recovery-codes", authenticateToken, async (req, res) => {
+  try {
+    if (!getVerifiedFactors(req.user).length) {
+      return res.status(400).json({ error: "2FA is not enabled" });
+    }
+
+    const recoveryCodes = await generateRecoveryCodes(req.user.id);
+
+    await recordAudit(req, {
+      action: "auth.2fa_recovery_codes",
+      targetType: "user",
+      targetId: req.user.id,
+    });
+
+    res.json({
+      message: "Recovery codes regenerated successfully",
+      recovery_codes: recoveryCodes,
+    });
+  } catch (error) {
+    console.error("Regenerate recovery codes error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Remove one of the current user's factors
+router.delete("/2fa/factors/:factorId", authenticateToken, async (req, res) => {
+  try {
+    const { factorId } = req.params;
+
+    const { error } = await unenrollFactor(req.accessToken, factorId);
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    await recordAudit(req, {
+      action: "auth.2fa_unenroll",
+      targetType: "user",
+      targetId: req.user.id,
+      metadata: { factor_id: factorId },
+    });
+
+    res.json({ message: "2FA factor removed successfully" });
+  } catch (error) {
+    console.error("Remove 2FA factor error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Roles required to use 2FA (admin only)
+router.get(
+  "/2fa/policy",
+  authenticateToken,
+  requireMfaEnrollment,
+  requireRole(["admin"]),
+  async (req, res) => {
+    try {
+      res.json({ roles: await getMfaRequiredRoles() });
+    } catch (error) {
+      console.error("Get 2FA policy error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+router.put(
+  "/2fa/policy",
+  authenticateToken,
+  requireMfaEnrollment,
+  requireRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { error: validationError, value } = mfaPolicySchema.validate(
+        req.body
+      );
+      if (validationError) {
+        return res
+          .status(400)
+          .json({ error: validationError.details[0].message });
+      }
+
+      const before = await getMfaRequiredRoles();
+      await setSetting("mfa_required_roles", value.roles, req.user.id);
+
+      await recordAudit(req, {
+        action: "auth.2fa_policy",
+        before: { roles: before },
+        after: { roles: value.roles },
+      });
+
+      res.json({
+        message: "2FA policy updated successfully",
+        roles: value.roles,
+      });
+    } catch (error) {
+      console.error("Update 2FA policy error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Reset a user's 2FA factors and recovery codes (admin only)
+router.delete(
+  "/2fa/users/:id",
+  authenticateToken,
+  requireMfaEnrollment,
+  requireRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const { error: validationError } = Joi.string().uuid().validate(id);
+      if (validationError) {
+        return res.status(400).json({ error: "Invalid user ID" });
+      }
+
+      const removed = await resetUserMfa(id);
+
+      await recordAudit(req, {
+        action: "auth.2fa_reset",
+        targetType: "user",
+        targetId: id,
+        metadata: { factors_removed: removed },
+      });
+
+      res.json({
+        message: "2FA reset successfully",
+        factors_removed: removed,
+      });
+    } catch (error) {
+      console.error("Reset 2FA error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
 // Logout
 router.post("/logout", async (req, res) => {
   try {
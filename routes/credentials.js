@@ -0,0 +1,436 @@
+// routes/credentials.js
+const express = require("express");
+const Joi = require("joi");
+const { supabase } = require("../config/supabase");
+const { requireRole, requireUserAccess } = require("../middleware/auth");
+const { CREDENTIAL_TYPES } = require("../config/credentials");
+const { recordAudit } = require("../utils/audit");
+const { scopeUserQuery, canAccessUser } = require("../utils/access");
+const {
+  runCredentialComplianceCheck,
+} = require("../jobs/credentialCompliance");
+const router = express.Router();
+
+const credentialSchema = Joi.object({
+  user_id: Joi.string().uuid().optional(),
+  credential_type: Joi.string()
+    .valid(...CREDENTIAL_TYPES)
+    .required(),
+  name: Joi.string().required(),
+  identifier: Joi.string().allow("").optional(),
+  issued_at: Joi.date().allow(null).optional(),
+  expires_at: Joi.date().required(),
+  document_id: Joi.string().uuid().allow(null).optional(),
+  notes: Joi.string().allow("").optional(),
+});
+
+const credentialUpdateSchema = credentialSchema
+  .fork(["credential_type", "name", "expires_at"], (field) => field.optional())
+  .keys({ user_id: Joi.forbidden() });
+
+const expiringQuerySchema = Joi.object({
+  days: Joi.number().integer().min(0).max(365).default(30),
+  department: Joi.string().optional(),
+  include_expired: Joi.boolean().default(true),
+});
+
+const withStatus = (credential) => {
+  const expiresAt = new Date(credential.expires_at);
+  return {
+    ...credential,
+    status: expiresAt < new Date() ? "expired" : "valid",
+    verified: !!credential.verified_at,
+    days_until_expiry: Math.ceil(
+      (expiresAt.getTime() - Date.now()) / (24 * 60 * 60 * 1000)
+    ),
+  };
+};
+
+// Admins, and managers for their team, confirm credential dates. Nobody
+// verifies their own.
+const isReviewer = (user, credentialUserId) =>
+  ["admin", "manager"].includes(user.role) && user.id !== credentialUserId;
+
+const verification = (user) => ({
+  verified_at: new Date().toISOString(),
+  verified_by: user.id,
+});
+
+const sameDate = (a, b) =>
+  a === b || (!!a && !!b && new Date(a).getTime() === new Date(b).getTime());
+
+const getCredential = async (id) => {
+  const { data, error } = await supabase
+    .from("credentials")
+    .select("*")
+    .eq("id", id)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+};
+
+// A credential can only point at a document of the same employee
+const isOwnDocument = async (documentId, userId) => {
+  const { data, error } = await supabase
+    .from("documents")
+    .select("id")
+    .eq("id", documentId)
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return !!data;
+};
+
+// Get the current user's credentials
+router.get("/", async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from("credentials")
+      .select("*")
+      .eq("user_id", req.user.id)
+      .order("expires_at", { ascending: true });
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ credentials: data.map(withStatus) });
+  } catch (error) {
+    console.error("Get credentials error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Credentials expiring within N days or already expired (admin/manager only)
+router.get("/expiring", requireRole(["admin", "manager"]), async (req, res) => {
+  try {
+    const { error: validationError, value } = expiringQuerySchema.validate(
+      req.query
+    );
+    if (validationError) {
+      return res
+        .status(400)
+        .json({ error: validationError.details[0].message });
+    }
+
+    const { days, department, include_expired } = value;
+    const until = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+    let query = scopeUserQuery(
+      supabase
+        .from("credentials")
+        .select(
+          `
+        *,
+        users!inner (id, full_name, email, employee_id, department, position, compliance_status)
+      `
+        )
+        .lte("expires_at", until.toISOString())
+        .order("expires_at", { ascending: true }),
+      req.user,
+      { referencedTable: "users" }
+    );
+
+    if (!include_expired) {
+      query = query.gte("expires_at", new Date().toISOString());
+    }
+    if (department) {
+      query = query.eq("users.department", department);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ credentials: data.map(withStatus) });
+  } catch (error) {
+    console.error("Get expiring credentials error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Run the compliance check now instead of waiting for the daily job
+router.post("/compliance/run", requireRole(["admin"]), async (req, res) => {
+  try {
+    const result = await runCredentialComplianceCheck();
+
+    await recordAudit(req, {
+      action: "credential.compliance_check",
+      metadata: result,
+    });
+
+    res.json({ message: "Compliance check completed", result });
+  } catch (error) {
+    console.error("Run compliance check error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get an employee's credentials (admin/manager only)
+router.get(
+  "/user/:userId",
+  requireRole(["admin", "manager"]),
+  requireUserAccess("userId"),
+  async (req, res) => {
+    try {
+      const { data, error } = await supabase
+        .from("credentials")
+        .select("*")
+        .eq("user_id", req.params.userId)
+        .order("expires_at", { ascending: true });
+
+      if (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      res.json({ credentials: data.map(withStatus) });
+    } catch (error) {
+      console.error("Get employee credentials error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Record a credential (for yourself, or for an employee as admin/manager)
+router.post("/", async (req, res) => {
+  try {
+    const { error: validationError, value } = credentialSchema.validate(
+      req.body
+    );
+    if (validationError) {
+      return res
+        .status(400)
+        .json({ error: validationError.details[0].message });
+    }
+
+    const { user_id, ...fields } = value;
+    const userId = user_id || req.user.id;
+
+    if (!(await canAccessUser(req.user, userId))) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+
+    if (
+      fields.document_id &&
+      !(await isOwnDocument(fields.document_id, userId))
+    ) {
+      return res.status(400).json({ error: "Document not found" });
+    }
+
+    // Dates an employee enters themselves count for compliance only once
+    // a reviewer has verified them
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from("credentials")
+      .insert({
+        user_id: userId,
+        ...fields,
+        ...(isReviewer(req.user, userId)
+          ? verification(req.user)
+          : { verified_at: null, verified_by: null }),
+        created_by: req.user.id,
+        created_at: now,
+        updated_at: now,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    await recordAudit(req, {
+      action: "credential.create",
+      targetType: "user",
+      targetId: userId,
+      after: data,
+    });
+
+    res.status(201).json({
+      message: "Credential recorded successfully",
+      credential: withStatus(data),
+    });
+  } catch (error) {
+    console.error("Create credential error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Update a credential, e.g. after renewal
+router.put("/:id", async (req, res) => {
+  try {
+    const { error: validationError, value } = credentialUpdateSchema.validate(
+      req.body
+    );
+    if (validationError) {
+      return res
+        .status(400)
+        .json({ error: validationError.details[0].message });
+    }
+
+    const before = await getCredential(req.params.id);
+
+    if (!before || !(await canAccessUser(req.user, before.user_id))) {
+      return res.status(404).json({ error: "Credential not found" });
+    }
+
+    if (
+      value.document_id &&
+      !(await isOwnDocument(value.document_id, before.user_id))
+    ) {
+      return res.status(400).json({ error: "Document not found" });
+    }
+
+    const reviewer = isReviewer(req.user, before.user_id);
+    const changed = (field, same) =>
+      value[field] !== undefined && !same(value[field], before[field]);
+    const datesChanged = ["issued_at", "expires_at"].some((field) =>
+      changed(field, sameDate)
+    );
+    // What a verification vouches for: the dates, the type they count
+    // towards and the document they were checked against
+    const verifiedFieldsChanged =
+      datesChanged ||
+      ["credential_type", "document_id"].some((field) =>
+        changed(field, (a, b) => a === b)
+      );
+
+    // A verified expiry date can't be edited by its owner; a renewal is
+    // recorded as a new credential instead
+    if (datesChanged && !reviewer && before.verified_at) {
+      return res.status(403).json({
+        error:
+          "Verified credential dates can only be changed by a reviewer; record the renewal as a new credential",
+      });
+    }
+
+    const { data, error } = await supabase
+      .from("credentials")
+      .update({
+        ...value,
+        ...(verifiedFieldsChanged &&
+          (reviewer
+            ? verification(req.user)
+            : { verified_at: null, verified_by: null })),
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", before.id)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    await recordAudit(req, {
+      action: "credential.update",
+      targetType: "user",
+      targetId: before.user_id,
+      before,
+      after: data,
+    });
+
+    res.json({
+      message: "Credential updated successfully",
+      credential: withStatus(data),
+    });
+  } catch (error) {
+    console.error("Update credential error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Confirm a credential's dates against its document (admin/manager only)
+router.patch(
+  "/:id/verify",
+  requireRole(["admin", "manager"]),
+  async (req, res) => {
+    try {
+      const before = await getCredential(req.params.id);
+
+      if (!before || !(await canAccessUser(req.user, before.user_id))) {
+        return res.status(404).json({ error: "Credential not found" });
+      }
+
+      if (!isReviewer(req.user, before.user_id)) {
+        return res
+          .status(403)
+          .json({ error: "You cannot verify your own credential" });
+      }
+
+      const { data, error } = await supabase
+        .from("credentials")
+        .update({
+          ...verification(req.user),
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", before.id)
+        .select()
+        .single();
+
+      if (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      await recordAudit(req, {
+        action: "credential.verify",
+        targetType: "user",
+        targetId: before.user_id,
+        before: { verified_at: before.verified_at },
+        after: { verified_at: data.verified_at, verified_by: data.verified_by },
+      });
+
+      res.json({
+        message: "Credential verified successfully",
+        credential: withStatus(data),
+      });
+    } catch (error) {
+      console.error("Verify credential error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Delete a credential (admin only)
+router.delete("/:id", requireRole(["admin"]), async (req, res) => {
+  try {
+    const before = await getCredential(req.params.id);
+
+    if (!before) {
+      return res.status(404).json({ error: "Credential not found" });
+    }
+
+    const { error } = await supabase
+      .from("credentials")
+      .delete()
+      .eq("id", before.id);
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    await recordAudit(req, {
+      action: "credential.delete",
+      targetType: "user",
+      targetId: before.user_id,
+      before,
+    });
+
+    res.json({ message: "Credential deleted successfully" });
+  } catch (error) {
+    console.error("Delete credential error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
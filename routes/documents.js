@@ -0,0 +1,173 @@
+// routes/documents.js
+const express = require("express");
+const Joi = require("joi");
+const { requireRole, requireUserAccess } = require("../middleware/auth");
+const { singleFileUpload } = require("../middleware/upload");
+const { FORM_TABLES } = require("../config/forms");
+const {
+  DOCUMENT_REQUIREMENTS,
+  ALLOWED_FILE_TYPES,
+  MAX_UPLOAD_SIZE,
+} = require("../config/documents");
+const { recordAudit } = require("../utils/audit");
+const {
+  storeDocument,
+  listDocuments,
+  getDocument,
+  readDocument,
+  deleteDocument,
+  canAccessDocument,
+} = require("../utils/documents");
+const router = express.Router();
+
+const uploadFile = singleFileUpload({
+  maxSize: MAX_UPLOAD_SIZE,
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_FILE_TYPES[file.mimetype]) {
+      return cb(new Error("Only PDF, PNG and JPEG files are allowed"));
+    }
+    cb(null, true);
+  },
+});
+
+const uploadSchema = Joi.object({
+  requirement: Joi.string()
+    .valid(...DOCUMENT_REQUIREMENTS)
+    .required(),
+  form_type: Joi.string()
+    .valid(...Object.keys(FORM_TABLES))
+    .optional(),
+  user_id: Joi.string().uuid().optional(),
+});
+
+// Upload a supporting document (for yourself, or for an employee as
+// admin/manager)
+router.post("/", uploadFile, async (req, res) => {
+  try {
+    const { error: validationError, value } = uploadSchema.validate(req.body);
+    if (validationError) {
+      return res
+        .status(400)
+        .json({ error: validationError.details[0].message });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: "File is required" });
+    }
+
+    const userId = value.user_id || req.user.id;
+    if (!(await canAccessDocument(req.user, { user_id: userId }))) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+
+    const { data, error } = await storeDocument({
+      userId,
+      uploadedBy: req.user.id,
+      requirement: value.requirement,
+      formType: value.form_type,
+      file: req.file,
+    });
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    await recordAudit(req, {
+      action: "document.upload",
+      targetType: "user",
+      targetId: userId,
+      metadata: {
+        document_id: data.id,
+        requirement: data.requirement,
+        form_type: data.form_type,
+      },
+    });
+
+    res.status(201).json({
+      message: "Document uploaded successfully",
+      document: data,
+    });
+  } catch (error) {
+    console.error("Upload document error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// List the current user's documents
+router.get("/", async (req, res) => {
+  try {
+    res.json({ documents: await listDocuments(req.user.id) });
+  } catch (error) {
+    console.error("Get documents error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// List an employee's documents (admin/manager only)
+router.get(
+  "/user/:userId",
+  requireRole(["admin", "manager"]),
+  requireUserAccess("userId"),
+  async (req, res) => {
+    try {
+      res.json({ documents: await listDocuments(req.params.userId) });
+    } catch (error) {
+      console.error("Get employee documents error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Download a document
+router.get("/:id/download", async (req, res) => {
+  try {
+    const document = await getDocument(req.params.id);
+
+    if (!document || !(await canAccessDocument(req.user, document))) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+
+    const content = await readDocument(document);
+
+    // Quotes the name, adding an RFC 5987 filename* when it needs one
+    res.attachment(document.original_name);
+    res.setHeader("Content-Type", document.mime_type);
+    res.send(content);
+  } catch (error) {
+    console.error("Download document error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Delete a document (admin, or the user who uploaded it)
+router.delete("/:id", async (req, res) => {
+  try {
+    const document = await getDocument(req.params.id);
+
+    if (!document || !(await canAccessDocument(req.user, document))) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+
+    // Documents uploaded for an employee, e.g. credential evidence, stay
+    // unless an admin removes them
+    if (document.uploaded_by !== req.user.id && req.user.role !== "admin") {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+
+    await deleteDocument(document);
+
+    await recordAudit(req, {
+      action: "document.delete",
+      targetType: "user",
+      targetId: document.user_id,
+      before: document,
+    });
+
+    res.json({ message: "Document deleted successfully" });
+  } catch (error) {
+    console.error("Delete document error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,273 @@
+// routes/invitations.js
+const express = require("express");
+const Joi = require("joi");
+const { supabaseAdmin } = require("../config/supabase");
+const { requireRole } = require("../middleware/auth");
+const { recordAudit } = require("../utils/audit");
+const { sendEmail } = require("../utils/notifications");
+const {
+  createInvitationToken,
+  invitationUrl,
+  getInvitationStatus,
+} = require("../utils/invitations");
+const router = express.Router();
+
+const invitationSchema = Joi.object({
+  email: Joi.string().email().required(),
+  department: Joi.string().allow("").optional(),
+  position: Joi.string().allow("").optional(),
+  start_date: Joi.date().allow(null).optional(),
+  expires_in_days: Joi.number().integer().min(1).max(30).default(7),
+});
+
+const resendSchema = Joi.object({
+  expires_in_days: Joi.number().integer().min(1).max(30).default(7),
+});
+
+const expiresAt = (days) =>
+  new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+// Never expose the token hash
+const toInvitation = ({ token_hash, ...invitation }) => ({
+  ...invitation,
+  status: getInvitationStatus(invitation),
+});
+
+// Create an invitation (admin only)
+router.post("/", requireRole(["admin"]), async (req, res) => {
+  try {
+    const { error: validationError, value } = invitationSchema.validate(
+      req.body
+    );
+    if (validationError) {
+      return res
+        .status(400)
+        .json({ error: validationError.details[0].message });
+    }
+
+    const email = value.email.toLowerCase();
+
+    const { data: existingUser } = await supabaseAdmin
+      .from("users")
+      .select("id")
+      .eq("email", email)
+      .maybeSingle();
+
+    if (existingUser) {
+      return res
+        .status(409)
+        .json({ error: "A user with this email already exists" });
+    }
+
+    const { data: pending, error: pendingError } = await supabaseAdmin
+      .from("invitations")
+      .select("id")
+      .eq("email", email)
+      .is("accepted_at", null)
+      .is("revoked_at", null)
+      .gt("expires_at", new Date().toISOString());
+
+    if (pendingError) {
+      return res.status(400).json({ error: pendingError.message });
+    }
+
+    if (pending.length) {
+      return res.status(409).json({
+        error: "A pending invitation already exists for this email",
+      });
+    }
+
+    const { token, tokenHash } = createInvitationToken();
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabaseAdmin
+      .from("invitations")
+      .insert({
+        email,
+        department: value.department || null,
+        position: value.position || null,
+        start_date: value.start_date || null,
+        token_hash: tokenHash,
+        expires_at: expiresAt(value.expires_in_days),
+        invited_by: req.user.id,
+        last_sent_at: now,
+        created_at: now,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    await recordAudit(req, {
+      action: "invitation.create",
+      targetType: "invitation",
+      targetId: data.id,
+      after: toInvitation(data),
+    });
+
+    await sendEmail("invitation", data.email, {
+      ...data,
+      invitation_url: invitationUrl(token),
+    });
+
+    res.status(201).json({
+      message: "Invitation created successfully",
+      invitation: toInvitation(data),
+      token,
+      invitation_url: invitationUrl(token),
+    });
+  } catch (error) {
+    console.error("Create invitation error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// List invitations (admin only)
+router.get("/", requireRole(["admin"]), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const now = new Date().toISOString();
+
+    let query = supabaseAdmin
+      .from("invitations")
+      .select("*")
+      .order("created_at", { ascending: false });
+
+    // Apply filters
+    if (status === "pending") {
+      query = query
+        .is("accepted_at", null)
+        .is("revoked_at", null)
+        .gt("expires_at", now);
+    } else if (status === "accepted") {
+      query = query.not("accepted_at", "is", null);
+    } else if (status === "revoked") {
+      query = query.not("revoked_at", "is", null);
+    } else if (status === "expired") {
+      query = query
+        .is("accepted_at", null)
+        .is("revoked_at", null)
+        .lte("expires_at", now);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ invitations: data.map(toInvitation) });
+  } catch (error) {
+    console.error("Get invitations error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Resend an invitation with a fresh token and expiry (admin only)
+router.post("/:id/resend", requireRole(["admin"]), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error: validationError, value } = resendSchema.validate(
+      req.body || {}
+    );
+    if (validationError) {
+      return res
+        .status(400)
+        .json({ error: validationError.details[0].message });
+    }
+
+    const { token, tokenHash } = createInvitationToken();
+
+    const { data, error } = await supabaseAdmin
+      .from("invitations")
+      .update({
+        token_hash: tokenHash,
+        expires_at: expiresAt(value.expires_in_days),
+        last_sent_at: new Date().toISOString(),
+      })
+      .eq("id", id)
+      .is("accepted_at", null)
+      .is("revoked_at", null)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (!data) {
+      return res
+        .status(404)
+        .json({ error: "No open invitation found with this ID" });
+    }
+
+    await recordAudit(req, {
+      action: "invitation.resend",
+      targetType: "invitation",
+      targetId: id,
+    });
+
+    await sendEmail("invitation", data.email, {
+      ...data,
+      invitation_url: invitationUrl(token),
+    });
+
+    res.json({
+      message: "Invitation resent successfully",
+      invitation: toInvitation(data),
+      token,
+      invitation_url: invitationUrl(token),
+    });
+  } catch (error) {
+    console.error("Resend invitation error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Revoke a pending invitation (admin only)
+router.patch("/:id/revoke", requireRole(["admin"]), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await supabaseAdmin
+      .from("invitations")
+      .update({
+        revoked_at: new Date().toISOString(),
+        revoked_by: req.user.id,
+      })
+      .eq("id", id)
+      .is("accepted_at", null)
+      .is("revoked_at", null)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (!data) {
+      return res
+        .status(404)
+        .json({ error: "No open invitation found with this ID" });
+    }
+
+    await recordAudit(req, {
+      action: "invitation.revoke",
+      targetType: "invitation",
+      targetId: id,
+    });
+
+    res.json({
+      message: "Invitation revoked successfully",
+      invitation: toInvitation(data),
+    });
+  } catch (error) {
+    console.error("Revoke invitation error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
@@ -2,189 +2,449 @@
 const express = require("express");
 const Joi = require("joi");
 const { supabase } = require("../config/supabase");
-const { requireRole } = require("../middleware/auth");
+const { requireRole, requireUserAccess } = require("../middleware/auth");
+const { recordAudit } = require("../utils/audit");
+const { createFormPdf, createPacketPdf, sendPdf } = require("../utils/pdf");
+const { listDocuments } = require("../utils/documents");
+const { verifyFormSignature } = require("../utils/signatures");
+const {
+  readSignatureImage,
+  readFormSignatureImages,
+} = require("../utils/signatureImages");
+const { sendEmail } = require("../utils/notifications");
+const { scopeUserQuery, canAccessUser } = require("../utils/access");
+const {
+  FORM_TYPES,
+  FORM_TABLES,
+  REVIEW_STATUSES,
+  getFormType,
+} = require("../config/forms");
+const { toJsonSchema } = require("../utils/jsonSchema");
+const { getOnboardingAnalytics } = require("../utils/onboardingAnalytics");
+const {
+  userListQueryKeys,
+  applyUserListFilters,
+  paginateUsers,
+} = require("../utils/pagination");
+const {
+  EXPORT_FORMATS,
+  selectColumns,
+  streamExport,
+} = require("../utils/exports");
+const {
+  getOnboardingProgress,
+  refreshOnboardingProgress,
+} = require("../utils/onboardingProgress");
+const {
+  canResubmit,
+  getCurrentForm,
+  submitForm,
+  getFormRevisions,
+  diffFormRevisions,
+} = require("../utils/formSubmissions");
+const {
+  encryptFormFields,
+  decryptFormFields,
+  maskFormFields,
+  keepMaskedFields,
+  getSensitiveFields,
+  rotateFormEncryption,
+} = require("../utils/sensitiveFields");
 const router = express.Router();
 
-// Validation schemas for each form
-const complianceStatementSchema = Joi.object({
-  employee_name: Joi.string().required(),
-  employee_id: Joi.string().required(),
-  position: Joi.string().required(),
-  start_date: Joi.date().required(),
-  background_check_completed: Joi.boolean().required(),
-  drug_screening_completed: Joi.boolean().required(),
-  licensure_verification: Joi.boolean().required(),
-  tb_testing_completed: Joi.boolean().required(),
-  required_immunizations_current: Joi.boolean().required(),
-  electronic_signature: Joi.string().required(),
-  signature_date: Joi.date().required(),
+// Drafts keep the field types of the full schema but make every field optional
+const getDraftSchema = (form) =>
+  form.schema.fork(Object.keys(form.schema.describe().keys), (field) =>
+    field.optional()
+  );
+
+const reviewSchema = Joi.object({
+  status: Joi.string()
+    .valid(...REVIEW_STATUSES.filter((status) => status !== "pending"))
+    .required(),
+  comment: Joi.when("status", {
+    is: Joi.valid("rejected", "needs_changes"),
+    then: Joi.string().required(),
+    otherwise: Joi.string().allow("").optional(),
+  }),
 });
 
-const confidentialityAgreementSchema = Joi.object({
-  employee_name: Joi.string().required(),
-  employee_id: Joi.string().required(),
-  department: Joi.string().required(),
-  maintain_confidentiality: Joi.boolean().required(),
-  no_solicitation_agreement: Joi.boolean().required(),
-  privacy_regulations_compliance: Joi.boolean().required(),
-  hipaa_compliance_acknowledgment: Joi.boolean().required(),
-  electronic_signature: Joi.string().required(),
-  signature_date: Joi.date().required(),
+const onboardingListSchema = Joi.object({
+  ...userListQueryKeys,
+  status: Joi.string().optional(),
+  department: Joi.string().optional(),
+}).unknown(true);
+
+const analyticsQuerySchema = Joi.object({
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional(),
+  department: Joi.string().optional(),
 });
 
-const directDepositSchema = Joi.object({
-  employee_name: Joi.string().required(),
-  employee_id: Joi.string().required(),
-  bank_name: Joi.string().required(),
-  routing_number: Joi.string().length(9).required(),
-  account_number: Joi.string().required(),
-  account_type: Joi.string().valid("checking", "savings").required(),
-  deposit_type: Joi.string().valid("full_amount", "partial_amount").required(),
-  authorization_agreement: Joi.boolean().required(),
-  electronic_signature: Joi.string().required(),
-  signature_date: Joi.date().required(),
+const formExportSchema = Joi.object({
+  format: Joi.string()
+    .valid(...EXPORT_FORMATS)
+    .default("csv"),
+  columns: Joi.string().optional(),
+  department: Joi.string().optional(),
+  onboarding_status: Joi.string().optional(),
+  reveal: Joi.boolean().default(false),
 });
 
-const healthStatementSchema = Joi.object({
-  employee_name: Joi.string().required(),
-  employee_id: Joi.string().required(),
-  chronic_medical_conditions: Joi.string().allow(""),
-  current_medications: Joi.string().allow(""),
-  known_allergies: Joi.string().allow(""),
-  immunizations_current: Joi.boolean().required(),
-  tb_screening_completed: Joi.boolean().required(),
-  health_insurance_coverage: Joi.boolean().required(),
-  emergency_contact_name: Joi.string().required(),
-  emergency_contact_phone: Joi.string().required(),
-  emergency_contact_relationship: Joi.string().required(),
-  electronic_signature: Joi.string().required(),
-  signature_date: Joi.date().required(),
+// Columns available when exporting a form type: employee details, the form
+// fields and its review state
+const getFormExportColumns = (form) => [
+  "id",
+  "user_id",
+  "employee_email",
+  "department",
+  "position",
+  ...Object.keys(form.schema.describe().keys),
+  "review_status",
+  "review_comment",
+  "reviewed_at",
+  "created_at",
+  "updated_at",
+];
+
+const revisionDiffSchema = Joi.object({
+  from: Joi.number().integer().min(0).optional(),
+  to: Joi.number().integer().min(1).optional(),
 });
 
-const hepatitisBSchema = Joi.object({
-  employee_name: Joi.string().required(),
-  date_of_hire: Joi.date().required(),
-  social_security_number: Joi.string().optional(),
-  vaccine_choice: Joi.string().valid("waive", "receive").required(),
-  series_1_date: Joi.date().optional(),
-  series_2_date: Joi.date().optional(),
-  series_3_date: Joi.date().optional(),
-  employee_signature: Joi.string().required(),
-  mmo_rep_signature: Joi.string().optional(),
-  signature_date: Joi.date().required(),
+const maskDraft = (draft) =>
+  draft && { ...draft, data: maskFormFields(draft.form_type, draft.data) };
+
+// Review state of the current version of a form
+const getReviewState = (latest) => {
+  if (!latest) {
+    return { submitted: false, status: null };
+  }
+
+  return {
+    submitted: true,
+    form_id: latest.id,
+    status: latest.review_status || "pending",
+    comment: latest.review_comment || null,
+    reviewed_by: latest.reviewed_by || null,
+    reviewed_at: latest.reviewed_at || null,
+    can_resubmit: canResubmit(latest),
+  };
+};
+
+// Send the drawn signature image stored in a field of a user's current form
+const sendSignatureImage = async (res, userId, formType, field) => {
+  const form = getFormType(formType);
+
+  if (!form || !form.signatureFields.includes(field)) {
+    return res.status(404).json({ error: "Unknown signature field" });
+  }
+
+  const row = await getCurrentForm(userId, form.type);
+  const image = row && (await readSignatureImage(userId, row[field]));
+
+  if (!image) {
+    return res.status(404).json({ error: "Signature image not found" });
+  }
+
+  res.setHeader("Content-Type", image.mime_type);
+  // SVGs are served as inert images
+  res.setHeader(
+    "Content-Security-Policy",
+    "default-src 'none'; style-src 'unsafe-inline'"
+  );
+  res.setHeader("Cache-Control", "private, no-store");
+  res.send(image.content);
+};
+
+// Describe every form type as JSON Schema for the frontend
+router.get("/form-types", async (req, res) => {
+  try {
+    res.json({
+      form_types: FORM_TYPES.map((form) => ({
+        type: form.type,
+        table: form.table,
+        title: form.title,
+        required: form.required,
+        endpoint: `/api/onboarding/${form.type}`,
+        signature_modes: form.signatureModes,
+        signature_fields: form.signatureFields,
+        schema: toJsonSchema(form.schema, { title: form.title }),
+      })),
+    });
+  } catch (error) {
+    console.error("Get form types error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
 });
 
-// Get onboarding progress
+// Get onboarding progress with the per-form checklist
 router.get("/progress", async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from("onboarding_progress")
-      .select("*")
-      .eq("user_id", req.user.id)
-      .single();
+    const { status, progress, checklist } = await getOnboardingProgress(
+      req.user.id
+    );
 
-    if (error && error.code !== "PGRST116") {
-      // PGRST116 = no rows returned
-      return res.status(400).json({ error: error.message });
-    }
+    res.json({ status, progress, checklist });
+  } catch (error) {
+    console.error("Get onboarding progress error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-    // If no progress record exists, create one
-    if (!data) {
-      const { data: newProgress, error: createError } = await supabase
-        .from("onboarding_progress")
-        .insert({
-          user_id: req.user.id,
-          started_at: new Date().toISOString(),
-        })
-        .select()
-        .single();
+// Submit onboarding forms, one route per registered form type
+for (const form of FORM_TYPES) {
+  router.post(`/${form.type}`, async (req, res) => {
+    try {
+      const { error: validationError, value } = form.schema.validate(req.body);
+      if (validationError) {
+        return res
+          .status(400)
+          .json({ error: validationError.details[0].message });
+      }
+
+      const { data, error, previous } = await submitForm(
+        req.user.id,
+        form.type,
+        value,
+        { ip: req.ip, userAgent: req.get("user-agent") }
+      );
 
-      if (createError) {
-        return res.status(400).json({ error: createError.message });
+      if (error) {
+        return res.status(error.status || 400).json({ error: error.message });
+      }
+
+      await recordAudit(req, {
+        action: "form.submit",
+        targetType: "user",
+        targetId: req.user.id,
+        before: maskFormFields(form.type, previous),
+        after: maskFormFields(form.type, data),
+        metadata: { form_type: form.type, form_id: data.id },
+      });
+
+      res.status(201).json({
+        message: `${form.title} submitted successfully`,
+        data: maskFormFields(form.type, data),
+      });
+    } catch (error) {
+      console.error(`Submit ${form.title} error:`, error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+}
+
+// Get all submitted forms for a user
+router.get("/forms", async (req, res) => {
+  try {
+    const forms = {};
+    const reviews = {};
+
+    // Get the current version of every form for the user
+    for (const form of FORM_TYPES) {
+      try {
+        forms[form.table] = maskFormFields(
+          form.type,
+          await getCurrentForm(req.user.id, form.type)
+        );
+      } catch (error) {
+        console.error(`Error fetching ${form.table}:`, error);
+        forms[form.table] = null;
       }
+      reviews[form.table] = getReviewState(forms[form.table]);
+    }
 
-      return res.json({ progress: newProgress });
+    res.json({ forms, reviews });
+  } catch (error) {
+    console.error("Get forms error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get the revision history of one of the user's forms
+router.get("/forms/:formType/revisions", async (req, res) => {
+  try {
+    const { formType } = req.params;
+
+    if (!FORM_TABLES[formType]) {
+      return res.status(404).json({ error: "Unknown form type" });
     }
 
-    res.json({ progress: data });
+    const revisions = await getFormRevisions(req.user.id, formType);
+
+    res.json({ revisions });
   } catch (error) {
-    console.error("Get onboarding progress error:", error);
+    console.error("Get form revisions error:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Submit compliance statement
-router.post("/compliance-statement", async (req, res) => {
+// Download one of the user's submitted forms as PDF
+router.get("/forms/:formType/pdf", async (req, res) => {
   try {
-    const { error: validationError, value } =
-      complianceStatementSchema.validate(req.body);
+    const form = getFormType(req.params.formType);
+
+    if (!form) {
+      return res.status(404).json({ error: "Unknown form type" });
+    }
+
+    const row = await getCurrentForm(req.user.id, form.type);
+
+    if (!row) {
+      return res.status(404).json({ error: "Form submission not found" });
+    }
+
+    sendPdf(
+      res,
+      createFormPdf(
+        form,
+        row,
+        req.user,
+        await readFormSignatureImages(form, row)
+      ),
+      `${form.type}.pdf`
+    );
+  } catch (error) {
+    console.error("Get form PDF error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get a drawn signature image from one of the user's forms
+router.get("/forms/:formType/signatures/:field", async (req, res) => {
+  try {
+    await sendSignatureImage(
+      res,
+      req.user.id,
+      req.params.formType,
+      req.params.field
+    );
+  } catch (error) {
+    console.error("Get signature image error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Check that one of the user's forms hasn't changed since it was signed
+router.get("/forms/:formType/signature", async (req, res) => {
+  try {
+    const { formType } = req.params;
+
+    if (!FORM_TABLES[formType]) {
+      return res.status(404).json({ error: "Unknown form type" });
+    }
+
+    const row = await getCurrentForm(req.user.id, formType);
+
+    if (!row) {
+      return res.status(404).json({ error: "Form submission not found" });
+    }
+
+    res.json({ verification: await verifyFormSignature(formType, row) });
+  } catch (error) {
+    console.error("Verify form signature error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Compare two revisions of one of the user's forms
+router.get("/forms/:formType/revisions/diff", async (req, res) => {
+  try {
+    const { formType } = req.params;
+
+    if (!FORM_TABLES[formType]) {
+      return res.status(404).json({ error: "Unknown form type" });
+    }
+
+    const { error: validationError, value } = revisionDiffSchema.validate(
+      req.query
+    );
     if (validationError) {
       return res
         .status(400)
         .json({ error: validationError.details[0].message });
     }
 
+    const diff = await diffFormRevisions(
+      req.user.id,
+      formType,
+      value.from,
+      value.to
+    );
+
+    if (!diff) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+
+    res.json({ diff });
+  } catch (error) {
+    console.error("Diff form revisions error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get all saved drafts for the user
+router.get("/drafts", async (req, res) => {
+  try {
     const { data, error } = await supabase
-      .from("compliance_statements")
-      .insert({
-        user_id: req.user.id,
-        ...value,
-      })
-      .select()
-      .single();
+      .from("form_drafts")
+      .select("*")
+      .eq("user_id", req.user.id)
+      .order("updated_at", { ascending: false });
 
     if (error) {
       return res.status(400).json({ error: error.message });
     }
 
-    res.status(201).json({
-      message: "Compliance statement submitted successfully",
-      data,
-    });
+    res.json({ drafts: data.map(maskDraft) });
   } catch (error) {
-    console.error("Submit compliance statement error:", error);
+    console.error("Get drafts error:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Submit confidentiality agreement
-router.post("/confidentiality-agreement", async (req, res) => {
+// Get the saved draft for a form type
+router.get("/drafts/:formType", async (req, res) => {
   try {
-    const { error: validationError, value } =
-      confidentialityAgreementSchema.validate(req.body);
-    if (validationError) {
-      return res
-        .status(400)
-        .json({ error: validationError.details[0].message });
+    const { formType } = req.params;
+
+    if (!FORM_TABLES[formType]) {
+      return res.status(404).json({ error: "Unknown form type" });
     }
 
     const { data, error } = await supabase
-      .from("confidentiality_agreements")
-      .insert({
-        user_id: req.user.id,
-        ...value,
-      })
-      .select()
-      .single();
+      .from("form_drafts")
+      .select("*")
+      .eq("user_id", req.user.id)
+      .eq("form_type", formType)
+      .maybeSingle();
 
     if (error) {
       return res.status(400).json({ error: error.message });
     }
 
-    res.status(201).json({
-      message: "Confidentiality agreement submitted successfully",
-      data,
-    });
+    if (!data) {
+      return res.status(404).json({ error: "Draft not found" });
+    }
+
+    res.json({ draft: maskDraft(data) });
   } catch (error) {
-    console.error("Submit confidentiality agreement error:", error);
+    console.error("Get draft error:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Submit direct deposit authorization
-router.post("/direct-deposit", async (req, res) => {
+// Save (or replace) a partial draft for a form type
+router.put("/drafts/:formType", async (req, res) => {
   try {
-    const { error: validationError, value } = directDepositSchema.validate(
+    const { formType } = req.params;
+    const form = getFormType(formType);
+
+    if (!form) {
+      return res.status(404).json({ error: "Unknown form type" });
+    }
+
+    const { error: validationError, value } = getDraftSchema(form).validate(
       req.body
     );
     if (validationError) {
@@ -193,12 +453,31 @@ router.post("/direct-deposit", async (req, res) => {
         .json({ error: validationError.details[0].message });
     }
 
+    const { data: existing, error: existingError } = await supabase
+      .from("form_drafts")
+      .select("data")
+      .eq("user_id", req.user.id)
+      .eq("form_type", formType)
+      .maybeSingle();
+
+    if (existingError) {
+      return res.status(400).json({ error: existingError.message });
+    }
+
     const { data, error } = await supabase
-      .from("direct_deposit_authorizations")
-      .insert({
-        user_id: req.user.id,
-        ...value,
-      })
+      .from("form_drafts")
+      .upsert(
+        {
+          user_id: req.user.id,
+          form_type: formType,
+          data: encryptFormFields(
+            formType,
+            keepMaskedFields(formType, value, existing && existing.data)
+          ),
+          updated_at: new Date().toISOString(),
+        },
+        { onConflict: "user_id,form_type" }
+      )
       .select()
       .single();
 
@@ -206,56 +485,65 @@ router.post("/direct-deposit", async (req, res) => {
       return res.status(400).json({ error: error.message });
     }
 
-    res.status(201).json({
-      message: "Direct deposit authorization submitted successfully",
-      data,
+    res.json({
+      message: "Draft saved successfully",
+      draft: maskDraft(data),
     });
   } catch (error) {
-    console.error("Submit direct deposit error:", error);
+    console.error("Save draft error:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Submit health statement
-router.post("/health-statement", async (req, res) => {
+// Discard a draft
+router.delete("/drafts/:formType", async (req, res) => {
   try {
-    const { error: validationError, value } = healthStatementSchema.validate(
-      req.body
-    );
-    if (validationError) {
-      return res
-        .status(400)
-        .json({ error: validationError.details[0].message });
-    }
+    const { formType } = req.params;
 
-    const { data, error } = await supabase
-      .from("health_statements")
-      .insert({
-        user_id: req.user.id,
-        ...value,
-      })
-      .select()
-      .single();
+    const { error } = await supabase
+      .from("form_drafts")
+      .delete()
+      .eq("user_id", req.user.id)
+      .eq("form_type", formType);
 
     if (error) {
       return res.status(400).json({ error: error.message });
     }
 
-    res.status(201).json({
-      message: "Health statement submitted successfully",
-      data,
-    });
+    res.json({ message: "Draft deleted successfully" });
   } catch (error) {
-    console.error("Submit health statement error:", error);
+    console.error("Delete draft error:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Submit hepatitis B vaccination form
-router.post("/hepatitis-b", async (req, res) => {
+// Promote a draft to a real submission after full validation
+router.post("/drafts/:formType/submit", async (req, res) => {
   try {
-    const { error: validationError, value } = hepatitisBSchema.validate(
-      req.body
+    const { formType } = req.params;
+    const form = getFormType(formType);
+
+    if (!form) {
+      return res.status(404).json({ error: "Unknown form type" });
+    }
+
+    const { data: draft, error: draftError } = await supabase
+      .from("form_drafts")
+      .select("*")
+      .eq("user_id", req.user.id)
+      .eq("form_type", formType)
+      .maybeSingle();
+
+    if (draftError) {
+      return res.status(400).json({ error: draftError.message });
+    }
+
+    if (!draft) {
+      return res.status(404).json({ error: "Draft not found" });
+    }
+
+    const { error: validationError, value } = form.schema.validate(
+      decryptFormFields(formType, draft.data)
     );
     if (validationError) {
       return res
@@ -263,113 +551,212 @@ router.post("/hepatitis-b", async (req, res) => {
         .json({ error: validationError.details[0].message });
     }
 
-    const { data, error } = await supabase
-      .from("hepatitis_b_vaccinations")
-      .insert({
-        user_id: req.user.id,
-        ...value,
-      })
-      .select()
-      .single();
+    const { data, error, previous } = await submitForm(
+      req.user.id,
+      formType,
+      value,
+      { ip: req.ip, userAgent: req.get("user-agent") }
+    );
 
     if (error) {
-      return res.status(400).json({ error: error.message });
+      return res.status(error.status || 400).json({ error: error.message });
     }
 
+    await recordAudit(req, {
+      action: "form.submit",
+      targetType: "user",
+      targetId: req.user.id,
+      before: maskFormFields(formType, previous),
+      after: maskFormFields(formType, data),
+      metadata: { form_type: formType, form_id: data.id, from_draft: true },
+    });
+
     res.status(201).json({
-      message: "Hepatitis B vaccination form submitted successfully",
-      data,
+      message: "Draft submitted successfully",
+      data: maskFormFields(formType, data),
     });
   } catch (error) {
-    console.error("Submit hepatitis B form error:", error);
+    console.error("Submit draft error:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Get all submitted forms for a user
-router.get("/forms", async (req, res) => {
-  try {
-    const forms = {};
+// Get all onboarding data for admin/manager view
+router.get(
+  "/admin/all",
+  requireRole(["admin", "manager"]),
+  async (req, res) => {
+    try {
+      const { error: validationError, value } = onboardingListSchema.validate(
+        req.query
+      );
+      if (validationError) {
+        return res
+          .status(400)
+          .json({ error: validationError.details[0].message });
+      }
 
-    // Get all forms for the user
-    const formTables = [
-      "compliance_statements",
-      "confidentiality_agreements",
-      "direct_deposit_authorizations",
-      "field_practice_statements",
-      "hepatitis_b_vaccinations",
-      "health_statements",
-      "influenza_vaccination_declinations",
-      "job_acceptance_forms",
-      "job_description_acknowledgments",
-      "ppe_acknowledgements",
-      "policies_procedures_statements",
-      "employee_handbook_acknowledgments",
-      "tb_medical_questionnaires",
-    ];
-
-    for (const table of formTables) {
-      const { data, error } = await supabase
-        .from(table)
-        .select("*")
-        .eq("user_id", req.user.id);
+      let query = scopeUserQuery(
+        supabase
+          .from("users")
+          .select(
+            `
+        *,
+        onboarding_progress (*)
+      `,
+            { count: "exact" }
+          )
+          .eq("role", "employee"),
+        req.user
+      );
+
+      if (value.status) {
+        query = query.eq("onboarding_status", value.status);
+      }
+      if (value.department) {
+        query = query.eq("department", value.department);
+      }
+      query = applyUserListFilters(query, value);
+
+      const { data, error, pagination } = await paginateUsers(query, value);
 
       if (error) {
-        console.error(`Error fetching ${table}:`, error);
-        forms[table] = [];
-      } else {
-        forms[table] = data;
+        return res.status(400).json({ error: error.message });
       }
+
+      res.json({ employees: data, pagination });
+    } catch (error) {
+      console.error("Get all onboarding data error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Onboarding metrics for leadership (admin only). Defaults to the last
+// 12 weeks.
+router.get("/admin/analytics", requireRole(["admin"]), async (req, res) => {
+  try {
+    const { error: validationError, value } = analyticsQuerySchema.validate(
+      req.query
+    );
+    if (validationError) {
+      return res
+        .status(400)
+        .json({ error: validationError.details[0].message });
     }
 
-    res.json({ forms });
+    const to = value.to || new Date();
+    const from =
+      value.from || new Date(to.getTime() - 12 * 7 * 24 * 60 * 60 * 1000);
+
+    if (from > to) {
+      return res.status(400).json({ error: "from must be before to" });
+    }
+
+    const analytics = await getOnboardingAnalytics({
+      from,
+      to,
+      department: value.department,
+    });
+
+    res.json({ analytics });
   } catch (error) {
-    console.error("Get forms error:", error);
+    console.error("Get onboarding analytics error:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Get all onboarding data for admin/manager view
+// Export the current submissions of one form type as CSV or XLSX.
+// Sensitive fields stay masked unless an admin passes reveal=true.
 router.get(
-  "/admin/all",
+  "/admin/forms/:formType/export",
   requireRole(["admin", "manager"]),
   async (req, res) => {
     try {
-      const { page = 1, limit = 10, status } = req.query;
+      const form = getFormType(req.params.formType);
 
-      let query = supabase
-        .from("users")
-        .select(
-          `
-        *,
-        onboarding_progress (*)
-      `
-        )
-        .eq("role", "employee");
-
-      if (status) {
-        query = query.eq("onboarding_status", status);
+      if (!form) {
+        return res.status(404).json({ error: "Unknown form type" });
       }
 
-      // Pagination
-      const offset = (page - 1) * limit;
-      query = query.range(offset, offset + limit - 1);
+      const { error: validationError, value } = formExportSchema.validate(
+        req.query
+      );
+      if (validationError) {
+        return res
+          .status(400)
+          .json({ error: validationError.details[0].message });
+      }
 
-      const { data, error } = await query;
+      if (value.reveal && req.user.role !== "admin") {
+        return res.status(403).json({ error: "Insufficient permissions" });
+      }
 
-      if (error) {
-        return res.status(400).json({ error: error.message });
+      const { columns, error: columnsError } = selectColumns(
+        value.columns,
+        getFormExportColumns(form)
+      );
+      if (columnsError) {
+        return res.status(400).json({ error: columnsError });
       }
 
-      res.json({
-        employees: data,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
+      const { format, department, onboarding_status, reveal } = value;
+
+      await recordAudit(req, {
+        action: reveal ? "form.reveal" : "form.export",
+        metadata: {
+          form_type: form.type,
+          format,
+          columns,
+          department,
+          onboarding_status,
+          reveal,
         },
       });
+
+      await streamExport(res, {
+        format,
+        filename: form.type,
+        columns,
+        fetchBatch: async (offset, limit) => {
+          let query = scopeUserQuery(
+            supabase.from(form.table).select(
+              `
+        *,
+        users!inner (email, department, position, role, manager_id, onboarding_status)
+      `
+            ),
+            req.user,
+            { referencedTable: "users" }
+          );
+
+          if (department) query = query.eq("users.department", department);
+          if (onboarding_status)
+            query = query.eq("users.onboarding_status", onboarding_status);
+
+          const { data, error } = await query
+            .order("id")
+            .range(offset, offset + limit - 1);
+
+          if (error) {
+            throw error;
+          }
+          return data;
+        },
+        mapRow: ({ users: employee, ...row }) => ({
+          ...(reveal
+            ? decryptFormFields(form.type, row)
+            : maskFormFields(form.type, row)),
+          employee_email: employee.email,
+          department: employee.department,
+          position: employee.position,
+        }),
+      });
     } catch (error) {
-      console.error("Get all onboarding data error:", error);
+      console.error("Export form data error:", error);
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
       res.status(500).json({ error: "Internal server error" });
     }
   }
@@ -379,6 +766,7 @@ router.get(
 router.get(
   "/admin/employee/:id",
   requireRole(["admin", "manager"]),
+  requireUserAccess("id"),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -399,38 +787,34 @@ router.get(
         return res.status(404).json({ error: "Employee not found" });
       }
 
-      // Get all forms
+      // Get all forms along with their review state
       const forms = {};
-      const formTables = [
-        "compliance_statements",
-        "confidentiality_agreements",
-        "direct_deposit_authorizations",
-        "field_practice_statements",
-        "hepatitis_b_vaccinations",
-        "health_statements",
-        "influenza_vaccination_declinations",
-        "job_acceptance_forms",
-        "job_description_acknowledgments",
-        "ppe_acknowledgements",
-        "policies_procedures_statements",
-        "employee_handbook_acknowledgments",
-        "tb_medical_questionnaires",
-      ];
-
-      for (const table of formTables) {
-        const { data, error } = await supabase
-          .from(table)
-          .select("*")
-          .eq("user_id", id);
-
-        if (!error) {
-          forms[table] = data;
+      const reviews = {};
+
+      for (const form of FORM_TYPES) {
+        try {
+          forms[form.table] = maskFormFields(
+            form.type,
+            await getCurrentForm(id, form.type)
+          );
+          reviews[form.table] = getReviewState(forms[form.table]);
+        } catch (error) {
+          console.error(`Error fetching ${form.table}:`, error);
         }
       }
 
+      let documents = [];
+      try {
+        documents = await listDocuments(id);
+      } catch (error) {
+        console.error("Error fetching documents:", error);
+      }
+
       res.json({
         employee: user,
         forms,
+        reviews,
+        documents,
       });
     } catch (error) {
       console.error("Get employee onboarding details error:", error);
@@ -439,267 +823,364 @@ router.get(
   }
 );
 
-// Add more form submission endpoints as needed
-// Following the same pattern as above...
+// Download an employee's submitted form as PDF
+router.get(
+  "/admin/employee/:id/forms/:formType/pdf",
+  requireRole(["admin", "manager"]),
+  requireUserAccess("id"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const form = getFormType(req.params.formType);
 
-// Submit field practice statement
-router.post("/field-practice", async (req, res) => {
-  try {
-    const { data, error } = await supabase
-      .from("field_practice_statements")
-      .insert({
-        user_id: req.user.id,
-        employee_name: req.body.employee_name,
-        employee_id: req.body.employee_id,
-        practice_guidelines_acknowledged:
-          req.body.practice_guidelines_acknowledged,
-        field_procedures_understood: req.body.field_procedures_understood,
-        safety_protocols_agreed: req.body.safety_protocols_agreed,
-        electronic_signature: req.body.electronic_signature,
-        signature_date: req.body.signature_date,
-      })
-      .select()
-      .single();
+      if (!form) {
+        return res.status(404).json({ error: "Unknown form type" });
+      }
 
-    if (error) {
-      return res.status(400).json({ error: error.message });
-    }
+      const { data: employee, error: userError } = await supabase
+        .from("users")
+        .select("*")
+        .eq("id", id)
+        .single();
 
-    res.status(201).json({
-      message: "Field practice statement submitted successfully",
-      data,
-    });
-  } catch (error) {
-    console.error("Submit field practice statement error:", error);
-    res.status(500).json({ error: "Internal server error" });
-  }
-});
+      if (userError) {
+        return res.status(404).json({ error: "Employee not found" });
+      }
 
-// Submit influenza vaccination declination
-router.post("/influenza-declination", async (req, res) => {
-  try {
-    const { data, error } = await supabase
-      .from("influenza_vaccination_declinations")
-      .insert({
-        user_id: req.user.id,
-        employee_name: req.body.employee_name,
-        employee_id: req.body.employee_id,
-        acknowledgment_read: req.body.acknowledgment_read,
-        mask_requirement_understood: req.body.mask_requirement_understood,
-        declination_signature: req.body.declination_signature,
-        witness_signature: req.body.witness_signature,
-        signature_date: req.body.signature_date,
-        witness_date: req.body.witness_date,
-      })
-      .select()
-      .single();
+      const row = await getCurrentForm(id, form.type);
 
-    if (error) {
-      return res.status(400).json({ error: error.message });
-    }
+      if (!row) {
+        return res.status(404).json({ error: "Form submission not found" });
+      }
 
-    res.status(201).json({
-      message: "Influenza vaccination declination submitted successfully",
-      data,
-    });
-  } catch (error) {
-    console.error("Submit influenza declination error:", error);
-    res.status(500).json({ error: "Internal server error" });
+      sendPdf(
+        res,
+        createFormPdf(
+          form,
+          row,
+          employee,
+          await readFormSignatureImages(form, row)
+        ),
+        `${employee.employee_id || id}-${form.type}.pdf`
+      );
+    } catch (error) {
+      console.error("Get employee form PDF error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
   }
-});
+);
 
-// Submit job acceptance form
-router.post("/job-acceptance", async (req, res) => {
-  try {
-    const { data, error } = await supabase
-      .from("job_acceptance_forms")
-      .insert({
-        user_id: req.user.id,
-        employee_name: req.body.employee_name,
-        employee_id: req.body.employee_id,
-        position_accepted: req.body.position_accepted,
-        start_date: req.body.start_date,
-        salary_acknowledged: req.body.salary_acknowledged,
-        benefits_understood: req.body.benefits_understood,
-        electronic_signature: req.body.electronic_signature,
-        signature_date: req.body.signature_date,
-      })
-      .select()
-      .single();
+// Download an employee's full onboarding packet as a single PDF
+router.get(
+  "/admin/employee/:id/packet",
+  requireRole(["admin", "manager"]),
+  requireUserAccess("id"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
 
-    if (error) {
-      return res.status(400).json({ error: error.message });
-    }
+      const { data: employee, error: userError } = await supabase
+        .from("users")
+        .select("*")
+        .eq("id", id)
+        .single();
 
-    res.status(201).json({
-      message: "Job acceptance form submitted successfully",
-      data,
-    });
-  } catch (error) {
-    console.error("Submit job acceptance form error:", error);
-    res.status(500).json({ error: "Internal server error" });
-  }
-});
+      if (userError) {
+        return res.status(404).json({ error: "Employee not found" });
+      }
 
-// Submit job description acknowledgment
-router.post("/job-description", async (req, res) => {
-  try {
-    const { data, error } = await supabase
-      .from("job_description_acknowledgments")
-      .insert({
-        user_id: req.user.id,
-        employee_name: req.body.employee_name,
-        employee_id: req.body.employee_id,
-        job_duties_understood: req.body.job_duties_understood,
-        responsibilities_acknowledged: req.body.responsibilities_acknowledged,
-        requirements_met: req.body.requirements_met,
-        electronic_signature: req.body.electronic_signature,
-        signature_date: req.body.signature_date,
-      })
-      .select()
-      .single();
+      const forms = [];
+      for (const form of FORM_TYPES) {
+        const row = await getCurrentForm(id, form.type);
+        forms.push({
+          form,
+          row,
+          signatureImages: await readFormSignatureImages(form, row),
+        });
+      }
 
-    if (error) {
-      return res.status(400).json({ error: error.message });
+      sendPdf(
+        res,
+        createPacketPdf(employee, forms),
+        `${employee.employee_id || id}-onboarding-packet.pdf`
+      );
+    } catch (error) {
+      console.error("Get onboarding packet error:", error);
+      res.status(500).json({ error: "Internal server error" });
     }
-
-    res.status(201).json({
-      message: "Job description acknowledgment submitted successfully",
-      data,
-    });
-  } catch (error) {
-    console.error("Submit job description acknowledgment error:", error);
-    res.status(500).json({ error: "Internal server error" });
   }
-});
+);
 
-// Submit PPE acknowledgement
-router.post("/ppe-acknowledgement", async (req, res) => {
-  try {
-    const { data, error } = await supabase
-      .from("ppe_acknowledgements")
-      .insert({
-        user_id: req.user.id,
-        employee_name: req.body.employee_name,
-        employee_id: req.body.employee_id,
-        ppe_training_completed: req.body.ppe_training_completed,
-        equipment_received: req.body.equipment_received,
-        usage_guidelines_understood: req.body.usage_guidelines_understood,
-        electronic_signature: req.body.electronic_signature,
-        signature_date: req.body.signature_date,
-      })
-      .select()
-      .single();
+// Get the revision history of an employee's form
+router.get(
+  "/admin/employee/:id/forms/:formType/revisions",
+  requireRole(["admin", "manager"]),
+  requireUserAccess("id"),
+  async (req, res) => {
+    try {
+      const { id, formType } = req.params;
 
-    if (error) {
-      return res.status(400).json({ error: error.message });
-    }
+      if (!FORM_TABLES[formType]) {
+        return res.status(404).json({ error: "Unknown form type" });
+      }
 
-    res.status(201).json({
-      message: "PPE acknowledgement submitted successfully",
-      data,
-    });
-  } catch (error) {
-    console.error("Submit PPE acknowledgement error:", error);
-    res.status(500).json({ error: "Internal server error" });
+      const revisions = await getFormRevisions(id, formType);
+
+      res.json({ revisions });
+    } catch (error) {
+      console.error("Get employee form revisions error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
   }
-});
+);
 
-// Submit policies & procedures statement
-router.post("/policies-procedures", async (req, res) => {
-  try {
-    const { data, error } = await supabase
-      .from("policies_procedures_statements")
-      .insert({
-        user_id: req.user.id,
-        employee_name: req.body.employee_name,
-        employee_id: req.body.employee_id,
-        policies_read: req.body.policies_read,
-        procedures_understood: req.body.procedures_understood,
-        compliance_agreed: req.body.compliance_agreed,
-        electronic_signature: req.body.electronic_signature,
-        signature_date: req.body.signature_date,
-      })
-      .select()
-      .single();
+// Get a drawn signature image from an employee's form
+router.get(
+  "/admin/employee/:id/forms/:formType/signatures/:field",
+  requireRole(["admin", "manager"]),
+  requireUserAccess("id"),
+  async (req, res) => {
+    try {
+      const { id, formType, field } = req.params;
 
-    if (error) {
-      return res.status(400).json({ error: error.message });
+      await sendSignatureImage(res, id, formType, field);
+    } catch (error) {
+      console.error("Get employee signature image error:", error);
+      res.status(500).json({ error: "Internal server error" });
     }
+  }
+);
 
-    res.status(201).json({
-      message: "Policies & procedures statement submitted successfully",
-      data,
-    });
-  } catch (error) {
-    console.error("Submit policies & procedures statement error:", error);
-    res.status(500).json({ error: "Internal server error" });
+// Check that an employee's form hasn't changed since it was signed
+router.get(
+  "/admin/employee/:id/forms/:formType/signature",
+  requireRole(["admin", "manager"]),
+  requireUserAccess("id"),
+  async (req, res) => {
+    try {
+      const { id, formType } = req.params;
+
+      if (!FORM_TABLES[formType]) {
+        return res.status(404).json({ error: "Unknown form type" });
+      }
+
+      const row = await getCurrentForm(id, formType);
+
+      if (!row) {
+        return res.status(404).json({ error: "Form submission not found" });
+      }
+
+      res.json({ verification: await verifyFormSignature(formType, row) });
+    } catch (error) {
+      console.error("Verify employee form signature error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
   }
-});
+);
 
-// Submit employee handbook acknowledgment
-router.post("/handbook-acknowledgment", async (req, res) => {
-  try {
-    const { data, error } = await supabase
-      .from("employee_handbook_acknowledgments")
-      .insert({
-        user_id: req.user.id,
-        employee_name: req.body.employee_name,
-        employee_id: req.body.employee_id,
-        handbook_received: req.body.handbook_received,
-        handbook_read: req.body.handbook_read,
-        policies_understood: req.body.policies_understood,
-        electronic_signature: req.body.electronic_signature,
-        signature_date: req.body.signature_date,
-      })
-      .select()
-      .single();
+// Compare two revisions of an employee's form
+router.get(
+  "/admin/employee/:id/forms/:formType/revisions/diff",
+  requireRole(["admin", "manager"]),
+  requireUserAccess("id"),
+  async (req, res) => {
+    try {
+      const { id, formType } = req.params;
 
-    if (error) {
-      return res.status(400).json({ error: error.message });
+      if (!FORM_TABLES[formType]) {
+        return res.status(404).json({ error: "Unknown form type" });
+      }
+
+      const { error: validationError, value } = revisionDiffSchema.validate(
+        req.query
+      );
+      if (validationError) {
+        return res
+          .status(400)
+          .json({ error: validationError.details[0].message });
+      }
+
+      const diff = await diffFormRevisions(id, formType, value.from, value.to);
+
+      if (!diff) {
+        return res.status(404).json({ error: "Revision not found" });
+      }
+
+      res.json({ diff });
+    } catch (error) {
+      console.error("Diff employee form revisions error:", error);
+      res.status(500).json({ error: "Internal server error" });
     }
+  }
+);
 
-    res.status(201).json({
-      message: "Employee handbook acknowledgment submitted successfully",
-      data,
-    });
-  } catch (error) {
-    console.error("Submit handbook acknowledgment error:", error);
-    res.status(500).json({ error: "Internal server error" });
+// Reveal the clear sensitive values of an employee's form (payroll use)
+router.get(
+  "/admin/employee/:id/forms/:formType/reveal",
+  requireRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { id, formType } = req.params;
+      const fields = getSensitiveFields(formType);
+
+      if (!fields.length) {
+        return res
+          .status(404)
+          .json({ error: "Form type has no sensitive fields" });
+      }
+
+      const current = await getCurrentForm(id, formType);
+
+      if (!current) {
+        return res.status(404).json({ error: "Form submission not found" });
+      }
+
+      const revealed = decryptFormFields(formType, current);
+
+      await recordAudit(req, {
+        action: "form.reveal",
+        targetType: "user",
+        targetId: id,
+        metadata: { form_type: formType, form_id: current.id, fields },
+      });
+
+      res.json({
+        form_id: current.id,
+        fields: fields.reduce((acc, field) => {
+          acc[field] = revealed[field] === undefined ? null : revealed[field];
+          return acc;
+        }, {}),
+      });
+    } catch (error) {
+      console.error("Reveal sensitive fields error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
   }
-});
+);
 
-// Submit TB medical questionnaire
-router.post("/tb-questionnaire", async (req, res) => {
-  try {
-    const { data, error } = await supabase
-      .from("tb_medical_questionnaires")
-      .insert({
-        user_id: req.user.id,
-        employee_name: req.body.employee_name,
-        employee_id: req.body.employee_id,
-        tb_symptoms_present: req.body.tb_symptoms_present,
-        tb_exposure_history: req.body.tb_exposure_history,
-        chest_xray_completed: req.body.chest_xray_completed,
-        medical_clearance: req.body.medical_clearance,
-        electronic_signature: req.body.electronic_signature,
-        signature_date: req.body.signature_date,
-      })
-      .select()
-      .single();
+// Re-encrypt stored sensitive fields with the current encryption key
+router.post(
+  "/admin/encryption/rotate",
+  requireRole(["admin"]),
+  async (req, res) => {
+    try {
+      const updated = await rotateFormEncryption();
 
-    if (error) {
-      return res.status(400).json({ error: error.message });
+      await recordAudit(req, {
+        action: "encryption.rotate",
+        metadata: updated,
+      });
+
+      res.json({
+        message: "Sensitive fields re-encrypted successfully",
+        updated,
+      });
+    } catch (error) {
+      console.error("Rotate encryption key error:", error);
+      res.status(500).json({ error: "Internal server error" });
     }
+  }
+);
 
-    res.status(201).json({
-      message: "TB medical questionnaire submitted successfully",
-      data,
-    });
-  } catch (error) {
-    console.error("Submit TB questionnaire error:", error);
-    res.status(500).json({ error: "Internal server error" });
+// Review a submitted form (approve, reject or request changes)
+router.patch(
+  "/admin/forms/:formType/:formId/review",
+  requireRole(["admin", "manager"]),
+  async (req, res) => {
+    try {
+      const { formType, formId } = req.params;
+      const table = FORM_TABLES[formType];
+
+      if (!table) {
+        return res.status(404).json({ error: "Unknown form type" });
+      }
+
+      const { error: validationError, value } = reviewSchema.validate(req.body);
+      if (validationError) {
+        return res
+          .status(400)
+          .json({ error: validationError.details[0].message });
+      }
+
+      const { data: before, error: fetchError } = await supabase
+        .from(table)
+        .select(
+          "user_id, review_status, review_comment, reviewed_by, reviewed_at"
+        )
+        .eq("id", formId)
+        .single();
+
+      if (fetchError || !(await canAccessUser(req.user, before.user_id))) {
+        return res.status(404).json({ error: "Form submission not found" });
+      }
+
+      if (before.user_id === req.user.id) {
+        return res
+          .status(403)
+          .json({ error: "You cannot review your own form submission" });
+      }
+
+      const { data, error } = await supabase
+        .from(table)
+        .update({
+          review_status: value.status,
+          review_comment: value.comment || null,
+          reviewed_by: req.user.id,
+          reviewed_at: new Date().toISOString(),
+        })
+        .eq("id", formId)
+        .select()
+        .single();
+
+      if (error) {
+        return res.status(404).json({ error: "Form submission not found" });
+      }
+
+      await refreshOnboardingProgress(data.user_id);
+
+      await recordAudit(req, {
+        action: "form.review",
+        targetType: "user",
+        targetId: data.user_id,
+        before,
+        after: {
+          review_status: data.review_status,
+          review_comment: data.review_comment,
+        },
+        metadata: { form_type: formType, form_id: data.id },
+      });
+
+      if (["rejected", "needs_changes"].includes(value.status)) {
+        const { data: employee } = await supabase
+          .from("users")
+          .select("id, email, full_name")
+          .eq("id", data.user_id)
+          .single();
+
+        if (employee) {
+          await sendEmail(
+            "form_rejected",
+            employee.email,
+            {
+              full_name: employee.full_name,
+              form_title: getFormType(formType).title,
+              status: value.status,
+              comment: value.comment,
+            },
+            { userId: employee.id }
+          );
+        }
+      }
+
+      res.json({
+        message: "Form review saved successfully",
+        data: maskFormFields(formType, data),
+      });
+    } catch (error) {
+      console.error("Review form error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
   }
-});
+);
 
 module.exports = router;
@@ -0,0 +1,338 @@
+// routes/payroll.js
+const express = require("express");
+const Joi = require("joi");
+const { supabase, supabaseAdmin } = require("../config/supabase");
+const { requireRole } = require("../middleware/auth");
+const { getFormType } = require("../config/forms");
+const { recordAudit } = require("../utils/audit");
+const { encryptValue, decryptValue } = require("../utils/encryption");
+const {
+  decryptFormFields,
+  maskFormFields,
+} = require("../utils/sensitiveFields");
+const {
+  PRENOTE_TRANSACTION_CODES,
+  isValidRoutingNumber,
+  buildPrenoteFile,
+} = require("../utils/nacha");
+const router = express.Router();
+
+const directDeposit = getFormType("direct-deposit");
+
+const prenoteSchema = Joi.object({
+  effective_date: Joi.date()
+    .iso()
+    .custom((value, helpers) =>
+      value.toISOString().slice(0, 10) < new Date().toISOString().slice(0, 10)
+        ? helpers.message('"effective_date" must not be in the past')
+        : value
+    )
+    .optional(),
+  preview: Joi.boolean().default(false),
+});
+
+// Approved direct deposit authorizations not yet sent to the bank
+const getPendingAuthorizations = async () => {
+  const { data, error } = await supabase
+    .from(directDeposit.table)
+    .select(
+      `
+        *,
+        users!inner (id, employee_id, full_name, is_active)
+      `
+    )
+    .eq("review_status", "approved")
+    .eq("users.is_active", true)
+    .is("nacha_exported_at", null)
+    .order("reviewed_at", { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+};
+
+// Release the authorizations claimed for an export that could not be
+// completed and delete its record, so they go into the next file
+const discardExport = async (exportId) => {
+  const { error: releaseError } = await supabase
+    .from(directDeposit.table)
+    .update({ nacha_exported_at: null, nacha_export_id: null })
+    .eq("nacha_export_id", exportId);
+
+  if (releaseError) {
+    console.error("Error releasing authorizations:", releaseError);
+    return;
+  }
+
+  const { error } = await supabaseAdmin
+    .from("payroll_exports")
+    .delete()
+    .eq("id", exportId);
+
+  if (error) {
+    console.error("Error deleting payroll export:", error);
+  }
+};
+
+// Turn authorizations into prenote entries, setting aside the ones whose
+// stored bank details can't go into a file
+const toPrenoteEntries = (authorizations) => {
+  const entries = [];
+  const skipped = [];
+
+  for (const authorization of authorizations) {
+    const { users: employee, ...row } = authorization;
+    let clear;
+
+    try {
+      clear = decryptFormFields(directDeposit.type, row);
+    } catch (error) {
+      console.error("Error decrypting direct deposit authorization:", error);
+      skipped.push({ id: row.id, reason: "Bank details could not be read" });
+      continue;
+    }
+
+    if (!isValidRoutingNumber(clear.routing_number)) {
+      skipped.push({ id: row.id, reason: "Invalid routing number" });
+    } else if (!/^[0-9A-Za-z-]{1,17}$/.test(clear.account_number || "")) {
+      skipped.push({ id: row.id, reason: "Invalid account number" });
+    } else if (!PRENOTE_TRANSACTION_CODES[clear.account_type]) {
+      skipped.push({ id: row.id, reason: "Invalid account type" });
+    } else {
+      entries.push({
+        id: row.id,
+        routing_number: clear.routing_number,
+        account_number: clear.account_number,
+        account_type: clear.account_type,
+        deposit_type: clear.deposit_type,
+        employee_id: employee.employee_id || row.employee_id,
+        employee_name: employee.full_name || row.employee_name,
+      });
+    }
+  }
+
+  return { entries, skipped };
+};
+
+// List approved authorizations waiting for a prenote (admin only)
+router.get("/nacha/pending", requireRole(["admin"]), async (req, res) => {
+  try {
+    const authorizations = await getPendingAuthorizations();
+
+    res.json({
+      authorizations: authorizations.map((authorization) =>
+        maskFormFields(directDeposit.type, authorization)
+      ),
+    });
+  } catch (error) {
+    console.error("Get pending NACHA authorizations error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Generate a NACHA prenote file for newly approved authorizations and mark
+// them exported. preview=true returns the file without recording anything.
+router.post("/nacha/prenote", requireRole(["admin"]), async (req, res) => {
+  try {
+    const { error: validationError, value } = prenoteSchema.validate(
+      req.body || {}
+    );
+    if (validationError) {
+      return res
+        .status(400)
+        .json({ error: validationError.details[0].message });
+    }
+
+    const { entries, skipped } = toPrenoteEntries(
+      await getPendingAuthorizations()
+    );
+
+    if (!entries.length) {
+      return res
+        .status(400)
+        .json({ error: "No approved authorizations to export", skipped });
+    }
+
+    const fileName = `prenote-${new Date().toISOString().slice(0, 10)}.ach`;
+
+    if (value.preview) {
+      let content;
+      try {
+        content = buildPrenoteFile(entries, {
+          effectiveDate: value.effective_date,
+        });
+      } catch (error) {
+        return res.status(500).json({ error: error.message });
+      }
+
+      await recordAudit(req, {
+        action: "payroll.nacha_preview",
+        metadata: {
+          entry_count: entries.length,
+          authorization_ids: entries.map((entry) => entry.id),
+        },
+      });
+
+      return res.json({
+        preview: true,
+        file_name: fileName,
+        entry_count: entries.length,
+        skipped,
+        content,
+      });
+    }
+
+    const now = new Date().toISOString();
+    const { data: created, error } = await supabaseAdmin
+      .from("payroll_exports")
+      .insert({
+        type: "nacha_prenote",
+        file_name: fileName,
+        entry_count: 0,
+        authorization_ids: [],
+        content: null,
+        created_by: req.user.id,
+        created_at: now,
+      })
+      .select("id")
+      .single();
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Claim the authorizations for this export before building the file.
+    // One a concurrent export claimed first is left out of this one.
+    const { data: claimed, error: claimError } = await supabase
+      .from(directDeposit.table)
+      .update({ nacha_exported_at: now, nacha_export_id: created.id })
+      .in(
+        "id",
+        entries.map((entry) => entry.id)
+      )
+      .is("nacha_exported_at", null)
+      .select("id");
+
+    if (claimError) {
+      console.error("Error marking authorizations exported:", claimError);
+      await discardExport(created.id);
+      return res.status(500).json({ error: "Failed to mark authorizations" });
+    }
+
+    const claimedIds = claimed.map((row) => row.id);
+    const exported = entries.filter((entry) => claimedIds.includes(entry.id));
+
+    if (!exported.length) {
+      await discardExport(created.id);
+      return res
+        .status(409)
+        .json({ error: "These authorizations were already exported" });
+    }
+
+    let content;
+    try {
+      content = buildPrenoteFile(exported, {
+        effectiveDate: value.effective_date,
+      });
+    } catch (error) {
+      await discardExport(created.id);
+      return res.status(500).json({ error: error.message });
+    }
+
+    const { data: payrollExport, error: saveError } = await supabaseAdmin
+      .from("payroll_exports")
+      .update({
+        entry_count: exported.length,
+        authorization_ids: claimedIds,
+        content: encryptValue(content),
+      })
+      .eq("id", created.id)
+      .select("id, type, file_name, entry_count, created_by, created_at")
+      .single();
+
+    if (saveError) {
+      console.error("Error saving payroll export:", saveError);
+      await discardExport(created.id);
+      return res.status(500).json({ error: "Failed to save export" });
+    }
+
+    await recordAudit(req, {
+      action: "payroll.nacha_export",
+      targetType: "payroll_export",
+      targetId: payrollExport.id,
+      metadata: {
+        entry_count: exported.length,
+        authorization_ids: claimedIds,
+        skipped,
+      },
+    });
+
+    res.status(201).json({
+      message: "NACHA prenote file generated successfully",
+      export: payrollExport,
+      skipped,
+    });
+  } catch (error) {
+    console.error("Generate NACHA prenote error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// List generated payroll files (admin only)
+router.get("/exports", requireRole(["admin"]), async (req, res) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("payroll_exports")
+      .select(
+        "id, type, file_name, entry_count, authorization_ids, created_by, created_at"
+      )
+      .not("content", "is", null)
+      .order("created_at", { ascending: false });
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ exports: data });
+  } catch (error) {
+    console.error("Get payroll exports error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Download a generated payroll file (admin only)
+router.get(
+  "/exports/:id/download",
+  requireRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { data, error } = await supabaseAdmin
+        .from("payroll_exports")
+        .select("id, file_name, content")
+        .eq("id", req.params.id)
+        .not("content", "is", null)
+        .maybeSingle();
+
+      if (error || !data) {
+        return res.status(404).json({ error: "Export not found" });
+      }
+
+      await recordAudit(req, {
+        action: "payroll.download",
+        targetType: "payroll_export",
+        targetId: data.id,
+      });
+
+      res.attachment(data.file_name);
+      res.setHeader("Content-Type", "text/plain; charset=us-ascii");
+      res.send(decryptValue(data.content));
+    } catch (error) {
+      console.error("Download payroll export error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,9 +1,136 @@
 // routes/users.js
 const express = require("express");
+const Joi = require("joi");
 const { supabase } = require("../config/supabase");
-const { requireRole } = require("../middleware/auth");
+const { requireRole, requireUserAccess } = require("../middleware/auth");
+const { singleFileUpload } = require("../middleware/upload");
+const { recordAudit } = require("../utils/audit");
+const { countActiveAdmins } = require("../utils/accounts");
+const {
+  TERMINATION_REASONS,
+  OFFBOARDING_TASKS,
+} = require("../config/offboarding");
+const {
+  setLoginEnabled,
+  startOffboarding,
+  listOffboardings,
+  getOpenOffboarding,
+  updateOffboardingTask,
+  closeOffboarding,
+} = require("../utils/offboarding");
+const { scopeToTeam, scopeUserQuery } = require("../utils/access");
+const {
+  EXPORT_FORMATS,
+  selectColumns,
+  streamExport,
+} = require("../utils/exports");
+const {
+  sendEmail,
+  listNotifications,
+  countUnreadNotifications,
+  markNotificationsRead,
+} = require("../utils/notifications");
+const { tokenize, applySearch, rankUsers } = require("../utils/userSearch");
+const {
+  userListQueryKeys,
+  applyUserListFilters,
+  paginateUsers,
+} = require("../utils/pagination");
+const {
+  validateEmployeeCsv,
+  startEmployeeImport,
+  getEmployeeImport,
+} = require("../utils/employeeImport");
 const router = express.Router();
 
+const MAX_IMPORT_SIZE = 1024 * 1024;
+
+const uploadCsv = singleFileUpload({
+  maxSize: MAX_IMPORT_SIZE,
+  label: "CSV file",
+});
+
+// Role hierarchy used by the promote/demote endpoints
+const ROLE_RANK = { employee: 0, manager: 1, admin: 2 };
+
+const roleChangeSchema = Joi.object({
+  role: Joi.string().valid("admin", "manager", "employee").required(),
+});
+
+const deactivateSchema = Joi.object({
+  termination_date: Joi.date().iso().optional(),
+  termination_reason: Joi.string()
+    .valid(...TERMINATION_REASONS)
+    .default("other"),
+  notes: Joi.string().max(2000).allow("").optional(),
+});
+
+const offboardingTaskSchema = Joi.object({
+  completed: Joi.boolean().required(),
+  notes: Joi.string().max(2000).allow("").optional(),
+});
+
+const reactivateSchema = Joi.object({
+  start_date: Joi.date().iso().optional(),
+  notes: Joi.string().max(2000).allow("").optional(),
+});
+
+// Columns available in the users export
+const USER_EXPORT_COLUMNS = [
+  "id",
+  "employee_id",
+  "email",
+  "full_name",
+  "role",
+  "department",
+  "position",
+  "manager_id",
+  "start_date",
+  "phone",
+  "onboarding_status",
+  "compliance_status",
+  "is_active",
+  "created_at",
+  "updated_at",
+];
+
+const userExportSchema = Joi.object({
+  format: Joi.string()
+    .valid(...EXPORT_FORMATS)
+    .default("csv"),
+  columns: Joi.string().optional(),
+  role: Joi.string().optional(),
+  department: Joi.string().optional(),
+  onboarding_status: Joi.string().optional(),
+});
+
+const userListSchema = Joi.object({
+  ...userListQueryKeys,
+  role: Joi.string().optional(),
+  department: Joi.string().optional(),
+  onboarding_status: Joi.string().optional(),
+}).unknown(true);
+
+// How many matching users are fetched for ranking
+const SEARCH_CANDIDATE_LIMIT = 200;
+
+const searchQuerySchema = Joi.object({
+  q: Joi.string().trim().min(1).max(100).required(),
+  limit: Joi.number().integer().min(1).max(50).default(20),
+  role: Joi.string().optional(),
+  department: Joi.string().optional(),
+  onboarding_status: Joi.string().optional(),
+});
+
+const importQuerySchema = Joi.object({
+  dry_run: Joi.boolean().default(false),
+});
+
+const notificationsQuerySchema = Joi.object({
+  unread: Joi.boolean().default(false),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+});
+
 // Get current user profile
 router.get("/profile", async (req, res) => {
   try {
@@ -33,6 +160,18 @@ router.put("/profile", async (req, res) => {
   try {
     const { full_name, department, position, phone } = req.body;
 
+    // Department decides which manager can see a user's records, so only
+    // admins change it
+    if (
+      department !== undefined &&
+      department !== req.user.department &&
+      req.user.role !== "admin"
+    ) {
+      return res
+        .status(403)
+        .json({ error: "Only admins can change your department" });
+    }
+
     const { data, error } = await supabase
       .from("users")
       .update({
@@ -50,6 +189,27 @@ router.put("/profile", async (req, res) => {
       return res.status(400).json({ error: error.message });
     }
 
+    const before = ["full_name", "department", "position", "phone"].reduce(
+      (acc, field) => {
+        acc[field] = req.user[field] === undefined ? null : req.user[field];
+        return acc;
+      },
+      {}
+    );
+
+    await recordAudit(req, {
+      action: "user.update_profile",
+      targetType: "user",
+      targetId: req.user.id,
+      before,
+      after: {
+        full_name: data.full_name,
+        department: data.department,
+        position: data.position,
+        phone: data.phone,
+      },
+    });
+
     res.json({
       message: "Profile updated successfully",
       user: data,
@@ -60,80 +220,419 @@ router.put("/profile", async (req, res) => {
   }
 });
 
+// Get the current user's in-app notifications
+router.get("/notifications", async (req, res) => {
+  try {
+    const { error: queryError, value } = notificationsQuerySchema.validate(
+      req.query
+    );
+    if (queryError) {
+      return res.status(400).json({ error: queryError.details[0].message });
+    }
+
+    const { data, error, count } = await listNotifications(req.user.id, {
+      unreadOnly: value.unread,
+      limit: value.limit,
+    });
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const unreadCount = await countUnreadNotifications(req.user.id);
+
+    res.json({ notifications: data, total: count, unread: unreadCount });
+  } catch (error) {
+    console.error("Get notifications error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Mark all of the current user's notifications as read
+router.patch("/notifications/read-all", async (req, res) => {
+  try {
+    const { data, error } = await markNotificationsRead(req.user.id);
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({
+      message: "Notifications marked as read",
+      updated: data.length,
+    });
+  } catch (error) {
+    console.error("Mark notifications read error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Mark one of the current user's notifications as read
+router.patch("/notifications/:id/read", async (req, res) => {
+  try {
+    const { data, error } = await markNotificationsRead(
+      req.user.id,
+      req.params.id
+    );
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (!data.length) {
+      return res.status(404).json({ error: "Notification not found" });
+    }
+
+    res.json({ message: "Notification marked as read", notification: data[0] });
+  } catch (error) {
+    console.error("Mark notification read error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 // Get all users (admin/manager only)
 router.get("/", requireRole(["admin", "manager"]), async (req, res) => {
   try {
-    const {
-      page = 1,
-      limit = 10,
-      role,
-      department,
-      onboarding_status,
-    } = req.query;
+    const { error: validationError, value } = userListSchema.validate(
+      req.query
+    );
+    if (validationError) {
+      return res
+        .status(400)
+        .json({ error: validationError.details[0].message });
+    }
 
-    let query = supabase.from("users").select("*");
+    let query = scopeUserQuery(
+      supabase.from("users").select("*", { count: "exact" }),
+      req.user
+    );
 
     // Apply filters
+    if (value.role) query = query.eq("role", value.role);
+    if (value.department) query = query.eq("department", value.department);
+    if (value.onboarding_status)
+      query = query.eq("onboarding_status", value.onboarding_status);
+    query = applyUserListFilters(query, value);
+
+    const { data, error, pagination } = await paginateUsers(query, value);
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ users: data, pagination });
+  } catch (error) {
+    console.error("Get users error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get the current manager's team: employees in their department and their
+// direct reports
+router.get("/team", requireRole(["admin", "manager"]), async (req, res) => {
+  try {
+    const { data, error } = await scopeToTeam(
+      supabase.from("users").select("*"),
+      req.user
+    )
+      .eq("is_active", true)
+      .order("full_name", { ascending: true });
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ team: data });
+  } catch (error) {
+    console.error("Get team error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Search users by name, email, employee ID or position (admin/manager
+// only). Every word of q must match; results are ranked by relevance.
+router.get("/search", requireRole(["admin", "manager"]), async (req, res) => {
+  try {
+    const { error: validationError, value } = searchQuerySchema.validate(
+      req.query
+    );
+    if (validationError) {
+      return res
+        .status(400)
+        .json({ error: validationError.details[0].message });
+    }
+
+    const tokens = tokenize(value.q);
+    if (!tokens.length) {
+      return res.json({ users: [], total: 0 });
+    }
+
+    const { role, department, onboarding_status } = value;
+
+    let query = applySearch(
+      scopeUserQuery(
+        supabase.from("users").select("*", { count: "exact" }),
+        req.user
+      ),
+      tokens
+    );
+
     if (role) query = query.eq("role", role);
     if (department) query = query.eq("department", department);
     if (onboarding_status)
       query = query.eq("onboarding_status", onboarding_status);
 
-    // Pagination
-    const offset = (page - 1) * limit;
-    query = query.range(offset, offset + limit - 1);
-
-    const { data, error, count } = await query;
+    const { data, error, count } = await query.limit(SEARCH_CANDIDATE_LIMIT);
 
     if (error) {
       return res.status(400).json({ error: error.message });
     }
 
+    // total counts every match; only the first SEARCH_CANDIDATE_LIMIT are
+    // ranked
     res.json({
-      users: data,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: count,
+      users: rankUsers(data, tokens).slice(0, value.limit),
+      total: count,
+    });
+  } catch (error) {
+    console.error("Search users error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Export the users listing as CSV or XLSX (admin/manager only). Accepts
+// the same filters as GET /.
+router.get("/export", requireRole(["admin", "manager"]), async (req, res) => {
+  try {
+    const { error: validationError, value } = userExportSchema.validate(
+      req.query
+    );
+    if (validationError) {
+      return res
+        .status(400)
+        .json({ error: validationError.details[0].message });
+    }
+
+    const { columns, error: columnsError } = selectColumns(
+      value.columns,
+      USER_EXPORT_COLUMNS
+    );
+    if (columnsError) {
+      return res.status(400).json({ error: columnsError });
+    }
+
+    const { format, role, department, onboarding_status } = value;
+
+    await recordAudit(req, {
+      action: "user.export",
+      metadata: { format, columns, role, department, onboarding_status },
+    });
+
+    await streamExport(res, {
+      format,
+      filename: "users",
+      columns,
+      fetchBatch: async (offset, limit) => {
+        let query = scopeUserQuery(
+          supabase.from("users").select(columns.join(", ")),
+          req.user
+        );
+
+        if (role) query = query.eq("role", role);
+        if (department) query = query.eq("department", department);
+        if (onboarding_status)
+          query = query.eq("onboarding_status", onboarding_status);
+
+        const { data, error } = await query
+          .order("id")
+          .range(offset, offset + limit - 1);
+
+        if (error) {
+          throw error;
+        }
+        return data;
       },
     });
   } catch (error) {
-    console.error("Get users error:", error);
+    console.error("Export users error:", error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Get user by ID (admin/manager only)
-router.get("/:id", requireRole(["admin", "manager"]), async (req, res) => {
+// Bulk-create employees from a CSV upload (admin only). Columns: email,
+// full_name, department, position, start_date. With dry_run=true only the
+// per-row validation report is returned.
+router.post("/import", requireRole(["admin"]), uploadCsv, async (req, res) => {
   try {
-    const { id } = req.params;
+    const { error: queryError, value } = importQuerySchema.validate(req.query);
+    if (queryError) {
+      return res.status(400).json({ error: queryError.details[0].message });
+    }
 
-    const { data, error } = await supabase
-      .from("users")
-      .select("*")
-      .eq("id", id)
-      .single();
+    if (!req.file) {
+      return res.status(400).json({ error: "CSV file is required" });
+    }
+
+    const { rows, error: csvError } = await validateEmployeeCsv(
+      req.file.buffer.toString("utf8")
+    );
+    if (csvError) {
+      return res.status(400).json({ error: csvError });
+    }
+
+    const validCount = rows.filter((row) => row.value).length;
+
+    if (value.dry_run) {
+      return res.json({
+        dry_run: true,
+        summary: {
+          total: rows.length,
+          valid: validCount,
+          invalid: rows.length - validCount,
+        },
+        rows: rows.map((row) => ({
+          line: row.line,
+          email: row.email,
+          status: row.value ? "valid" : "invalid",
+          errors: row.errors,
+        })),
+      });
+    }
+
+    // Creating accounts takes about a second each, so the import runs in
+    // the background and is followed through GET /import/:id
+    const { data: importRecord, error: importError } =
+      await startEmployeeImport(rows, {
+        createdBy: req.user.id,
+        onCreated: async (user) => {
+          await recordAudit(req, {
+            action: "user.import",
+            targetType: "user",
+            targetId: user.id,
+            after: user,
+          });
+
+          await sendEmail(
+            "welcome",
+            user.email,
+            {
+              ...user,
+              password_setup: true,
+            },
+            { userId: user.id }
+          );
+        },
+      });
+
+    if (importError) {
+      return res.status(400).json({ error: importError.message });
+    }
+
+    res.status(202).json({
+      dry_run: false,
+      message: "Import started",
+      import: importRecord,
+    });
+  } catch (error) {
+    console.error("Import users error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Status and row results of a bulk import (admin only)
+router.get("/import/:id", requireRole(["admin"]), async (req, res) => {
+  try {
+    const { data, error } = await getEmployeeImport(req.params.id);
 
     if (error) {
-      return res.status(404).json({ error: "User not found" });
+      return res.status(400).json({ error: error.message });
+    }
+    if (!data) {
+      return res.status(404).json({ error: "Import not found" });
     }
 
-    res.json({ user: data });
+    res.json({ import: data });
   } catch (error) {
-    console.error("Get user by ID error:", error);
+    console.error("Get import error:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
+// Get user by ID (admin, or manager of the user's team)
+router.get(
+  "/:id",
+  requireRole(["admin", "manager"]),
+  requireUserAccess("id"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const { data, error } = await supabase
+        .from("users")
+        .select("*")
+        .eq("id", id)
+        .single();
+
+      if (error) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      res.json({ user: data });
+    } catch (error) {
+      console.error("Get user by ID error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
 // Update user (admin only)
 router.put("/:id", requireRole(["admin"]), async (req, res) => {
   try {
     const { id } = req.params;
     const updates = req.body;
 
-    // Don't allow updating sensitive fields through this endpoint
+    // Don't allow updating sensitive fields through this endpoint. Roles
+    // change through promote/demote, activation through deactivate and
+    // reactivate.
     delete updates.id;
     delete updates.created_at;
+    delete updates.role;
+    delete updates.is_active;
+    delete updates.termination_date;
+    delete updates.termination_reason;
+
+    const { data: before, error: fetchError } = await supabase
+      .from("users")
+      .select("*")
+      .eq("id", id)
+      .single();
+
+    if (fetchError) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    // Direct reports must report to an active manager or admin
+    if (updates.manager_id) {
+      const { data: manager } = await supabase
+        .from("users")
+        .select("id, role, is_active")
+        .eq("id", updates.manager_id)
+        .maybeSingle();
+
+      if (
+        !manager ||
+        manager.id === id ||
+        !manager.is_active ||
+        !["admin", "manager"].includes(manager.role)
+      ) {
+        return res
+          .status(400)
+          .json({ error: "manager_id must reference an active manager" });
+      }
+    }
 
     const { data, error } = await supabase
       .from("users")
@@ -149,6 +648,14 @@ router.put("/:id", requireRole(["admin"]), async (req, res) => {
       return res.status(400).json({ error: error.message });
     }
 
+    await recordAudit(req, {
+      action: "user.update",
+      targetType: "user",
+      targetId: id,
+      before,
+      after: data,
+    });
+
     res.json({
       message: "User updated successfully",
       user: data,
@@ -159,15 +666,64 @@ router.put("/:id", requireRole(["admin"]), async (req, res) => {
   }
 });
 
-// Deactivate user (admin only)
+// Offboard a user (admin only): record the termination, block their login
+// and open the offboarding checklist
 router.patch("/:id/deactivate", requireRole(["admin"]), async (req, res) => {
   try {
     const { id } = req.params;
 
+    const { error: validationError, value } = deactivateSchema.validate(
+      req.body || {}
+    );
+    if (validationError) {
+      return res
+        .status(400)
+        .json({ error: validationError.details[0].message });
+    }
+
+    const { data: before, error: fetchError } = await supabase
+      .from("users")
+      .select("*")
+      .eq("id", id)
+      .single();
+
+    if (fetchError) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (id === req.user.id) {
+      return res
+        .status(400)
+        .json({ error: "You cannot deactivate your own account" });
+    }
+
+    if (before.is_active === false) {
+      return res.status(400).json({ error: "User is already deactivated" });
+    }
+
+    if (before.role === "admin" && (await countActiveAdmins(id)) === 0) {
+      return res
+        .status(400)
+        .json({ error: "Cannot deactivate the last remaining admin" });
+    }
+
+    const terminationDate = (value.termination_date || new Date())
+      .toISOString()
+      .slice(0, 10);
+
+    // Ban the login first: a profile marked inactive must never be left
+    // able to sign in
+    const { error: banError } = await setLoginEnabled(id, false);
+    if (banError) {
+      return res.status(500).json({ error: "Failed to disable login" });
+    }
+
     const { data, error } = await supabase
       .from("users")
       .update({
         is_active: false,
+        termination_date: terminationDate,
+        termination_reason: value.termination_reason,
         updated_at: new Date().toISOString(),
       })
       .eq("id", id)
@@ -175,12 +731,40 @@ router.patch("/:id/deactivate", requireRole(["admin"]), async (req, res) => {
       .single();
 
     if (error) {
+      await setLoginEnabled(id, true);
       return res.status(400).json({ error: error.message });
     }
 
+    const { data: offboarding, error: offboardingError } =
+      await startOffboarding(id, {
+        terminationDate,
+        reason: value.termination_reason,
+        notes: value.notes,
+        initiatedBy: req.user.id,
+      });
+
+    if (offboardingError) {
+      console.error("Error starting offboarding:", offboardingError);
+    }
+
+    await recordAudit(req, {
+      action: "user.deactivate",
+      targetType: "user",
+      targetId: id,
+      before,
+      after: data,
+      metadata: {
+        termination_date: terminationDate,
+        termination_reason: value.termination_reason,
+      },
+    });
+
+    await sendEmail("account_deactivated", data.email, data, { userId: id });
+
     res.json({
       message: "User deactivated successfully",
       user: data,
+      offboarding: offboarding || null,
     });
   } catch (error) {
     console.error("Deactivate user error:", error);
@@ -188,4 +772,267 @@ router.patch("/:id/deactivate", requireRole(["admin"]), async (req, res) => {
   }
 });
 
+// Offboarding history of a user with the checklist tasks described
+// (admin only)
+router.get("/:id/offboarding", requireRole(["admin"]), async (req, res) => {
+  try {
+    const { data, error } = await listOffboardings(req.params.id);
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({
+      offboardings: data,
+      current: data.find((offboarding) => !offboarding.reactivated_at) || null,
+      tasks: OFFBOARDING_TASKS,
+    });
+  } catch (error) {
+    console.error("Get offboarding error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Check off or reopen a task on a user's open offboarding checklist
+// (admin only)
+router.patch(
+  "/:id/offboarding/tasks/:task",
+  requireRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { id, task } = req.params;
+
+      if (!OFFBOARDING_TASKS[task]) {
+        return res.status(404).json({ error: "Unknown offboarding task" });
+      }
+
+      const { error: validationError, value } = offboardingTaskSchema.validate(
+        req.body
+      );
+      if (validationError) {
+        return res
+          .status(400)
+          .json({ error: validationError.details[0].message });
+      }
+
+      const offboarding = await getOpenOffboarding(id);
+      if (!offboarding) {
+        return res.status(404).json({ error: "No open offboarding found" });
+      }
+
+      const { data, error } = await updateOffboardingTask(offboarding, task, {
+        completed: value.completed,
+        notes: value.notes,
+        userId: req.user.id,
+      });
+
+      if (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      await recordAudit(req, {
+        action: "offboarding.task",
+        targetType: "user",
+        targetId: id,
+        before: { [task]: offboarding.tasks[task] || null },
+        after: { [task]: data.tasks[task] },
+        metadata: { offboarding_id: offboarding.id },
+      });
+
+      res.json({ message: "Offboarding task updated", offboarding: data });
+    } catch (error) {
+      console.error("Update offboarding task error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Reactivate a deactivated user, e.g. a rehire (admin only). Their forms,
+// audit trail and earlier offboardings are kept.
+router.patch("/:id/reactivate", requireRole(["admin"]), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error: validationError, value } = reactivateSchema.validate(
+      req.body || {}
+    );
+    if (validationError) {
+      return res
+        .status(400)
+        .json({ error: validationError.details[0].message });
+    }
+
+    const { data: before, error: fetchError } = await supabase
+      .from("users")
+      .select("*")
+      .eq("id", id)
+      .single();
+
+    if (fetchError) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (before.is_active !== false) {
+      return res.status(400).json({ error: "User is already active" });
+    }
+
+    // Lift the login ban only once the profile is active again
+    const { data, error } = await supabase
+      .from("users")
+      .update({
+        is_active: true,
+        termination_date: null,
+        termination_reason: null,
+        ...(value.start_date && {
+          start_date: value.start_date.toISOString().slice(0, 10),
+        }),
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", id)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const { error: unbanError } = await setLoginEnabled(id, true);
+    if (unbanError) {
+      const { error: revertError } = await supabase
+        .from("users")
+        .update({
+          is_active: false,
+          termination_date: before.termination_date,
+          termination_reason: before.termination_reason,
+          start_date: before.start_date,
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", id);
+
+      if (revertError) {
+        console.error("Error reverting reactivation:", revertError);
+      }
+      return res.status(500).json({ error: "Failed to enable login" });
+    }
+
+    const offboarding = await getOpenOffboarding(id);
+    if (offboarding) {
+      const { error: closeError } = await closeOffboarding(offboarding.id, {
+        reactivatedBy: req.user.id,
+      });
+      if (closeError) {
+        console.error("Error closing offboarding:", closeError);
+      }
+    }
+
+    await recordAudit(req, {
+      action: "user.reactivate",
+      targetType: "user",
+      targetId: id,
+      before,
+      after: data,
+      metadata: {
+        offboarding_id: offboarding ? offboarding.id : null,
+        notes: value.notes || null,
+      },
+    });
+
+    await sendEmail("account_reactivated", data.email, data, { userId: id });
+
+    res.json({
+      message: "User reactivated successfully",
+      user: data,
+    });
+  } catch (error) {
+    console.error("Reactivate user error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Change a user's role in the given direction ("promote" or "demote")
+const changeRole = (direction) => async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error: validationError, value } = roleChangeSchema.validate(
+      req.body
+    );
+    if (validationError) {
+      return res
+        .status(400)
+        .json({ error: validationError.details[0].message });
+    }
+
+    if (id === req.user.id) {
+      return res.status(400).json({ error: "You cannot change your own role" });
+    }
+
+    const { data: before, error: fetchError } = await supabase
+      .from("users")
+      .select("*")
+      .eq("id", id)
+      .single();
+
+    if (fetchError) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const delta = ROLE_RANK[value.role] - ROLE_RANK[before.role];
+    if (
+      (direction === "promote" && delta <= 0) ||
+      (direction === "demote" && delta >= 0)
+    ) {
+      return res.status(400).json({
+        error: `Cannot ${direction} a ${before.role} to ${value.role}`,
+      });
+    }
+
+    if (
+      before.role === "admin" &&
+      before.is_active !== false &&
+      (await countActiveAdmins(id)) === 0
+    ) {
+      return res
+        .status(400)
+        .json({ error: "Cannot demote the last remaining admin" });
+    }
+
+    const { data, error } = await supabase
+      .from("users")
+      .update({
+        role: value.role,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", id)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    await recordAudit(req, {
+      action: `user.${direction}`,
+      targetType: "user",
+      targetId: id,
+      before: { role: before.role },
+      after: { role: data.role },
+    });
+
+    res.json({
+      message: `User ${direction}d successfully`,
+      user: data,
+    });
+  } catch (error) {
+    console.error(`User ${direction} error:`, error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Promote user (admin only)
+router.patch("/:id/promote", requireRole(["admin"]), changeRole("promote"));
+
+// Demote user (admin only)
+router.patch("/:id/demote", requireRole(["admin"]), changeRole("demote"));
+
 module.exports = router;
@@ -8,11 +8,34 @@ require('dotenv').config();
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/user');
 const onboardingRoutes = require('./routes/onboarding');
-const { authenticateToken } = require('./middleware/auth');
+const auditRoutes = require('./routes/audit');
+const invitationRoutes = require('./routes/invitations');
+const documentRoutes = require('./routes/documents');
+const credentialRoutes = require('./routes/credentials');
+const payrollRoutes = require('./routes/payroll');
+const { authenticateToken, requireMfaEnrollment } = require('./middleware/auth');
+const { startJobs } = require('./jobs');
+const { getTransport } = require('./utils/mailer');
+const { getStorage } = require('./utils/storage');
+const { loadSignatureKeys } = require('./utils/signatures');
+
+// Refuse to start without an explicit mail transport, storage driver and
+// signature keys rather than fail on the first email, upload or submission
+getTransport();
+getStorage();
+loadSignatureKeys();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind a reverse proxy req.ip (kept with signatures and audit entries)
+// must come from X-Forwarded-For. TRUST_PROXY is the number of proxy hops
+// or a list of trusted proxy addresses.
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // Security middleware
 app.use(helmet());
 app.use(cors({
@@ -34,8 +57,13 @@ app.use(express.urlencoded({ extended: true }));
 
 // Routes
 app.use('/api/auth', authRoutes);
-app.use('/api/users', authenticateToken, userRoutes);
-app.use('/api/onboarding', authenticateToken, onboardingRoutes);
+app.use('/api/users', authenticateToken, requireMfaEnrollment, userRoutes);
+app.use('/api/onboarding', authenticateToken, requireMfaEnrollment, onboardingRoutes);
+app.use('/api/audit-logs', authenticateToken, requireMfaEnrollment, auditRoutes);
+app.use('/api/invitations', authenticateToken, requireMfaEnrollment, invitationRoutes);
+app.use('/api/documents', authenticateToken, requireMfaEnrollment, documentRoutes);
+app.use('/api/credentials', authenticateToken, requireMfaEnrollment, credentialRoutes);
+app.use('/api/payroll', authenticateToken, requireMfaEnrollment, payrollRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -53,4 +81,5 @@ app.use((err, req, res, next) => {
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  startJobs();
 });
\ No newline at end of file
@@ -0,0 +1,37 @@
+-- Review state on every onboarding form table (user-001)
+do $$
+declare
+  form_table text;
+begin
+  foreach form_table in array array[
+    'compliance_statements',
+    'confidentiality_agreements',
+    'direct_deposit_authorizations',
+    'field_practice_statements',
+    'hepatitis_b_vaccinations',
+    'health_statements',
+    'influenza_vaccination_declinations',
+    'job_acceptance_forms',
+    'job_description_acknowledgments',
+    'ppe_acknowledgements',
+    'policies_procedures_statements',
+    'employee_handbook_acknowledgments',
+    'tb_medical_questionnaires'
+  ]
+  loop
+    execute format(
+      'alter table public.%I
+         add column if not exists review_status text not null default ''pending''
+           check (review_status in (''pending'', ''approved'', ''rejected'', ''needs_changes'')),
+         add column if not exists review_comment text,
+         add column if not exists reviewed_by uuid references public.users (id),
+         add column if not exists reviewed_at timestamptz',
+      form_table
+    );
+    execute format(
+      'create index if not exists %I on public.%I (review_status)',
+      form_table || '_review_status_idx',
+      form_table
+    );
+  end loop;
+end $$;
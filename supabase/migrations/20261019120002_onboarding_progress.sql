@@ -0,0 +1,15 @@
+-- Computed onboarding progress (user-002). One progress row per user:
+-- utils/onboardingProgress.js reads it with maybeSingle() and account
+-- creation ignores the duplicate-key error.
+alter table public.onboarding_progress
+  add column if not exists forms_submitted integer not null default 0,
+  add column if not exists forms_approved integer not null default 0,
+  add column if not exists total_required_forms integer not null default 0,
+  add column if not exists percent_complete integer not null default 0,
+  add column if not exists form_status jsonb not null default '{}'::jsonb,
+  add column if not exists submitted_at timestamptz,
+  add column if not exists completed_at timestamptz,
+  add column if not exists updated_at timestamptz not null default now();
+
+create unique index if not exists onboarding_progress_user_id_key
+  on public.onboarding_progress (user_id);
@@ -0,0 +1,11 @@
+-- Saved drafts (user-003). PUT /drafts/:formType upserts on
+-- (user_id, form_type), which needs the unique constraint.
+create table if not exists public.form_drafts (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  form_type text not null,
+  data jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (user_id, form_type)
+);
@@ -0,0 +1,48 @@
+-- Form revision history (user-004). Each form table keeps one current row
+-- per user, updated in place on resubmission; every submission is kept as
+-- an immutable snapshot in form_revisions.
+create table if not exists public.form_revisions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  form_type text not null,
+  form_id uuid not null,
+  revision integer not null check (revision > 0),
+  data jsonb not null,
+  changes jsonb not null default '[]'::jsonb,
+  changed_by uuid references public.users (id),
+  created_at timestamptz not null default now(),
+  unique (user_id, form_type, revision)
+);
+
+do $$
+declare
+  form_table text;
+begin
+  foreach form_table in array array[
+    'compliance_statements',
+    'confidentiality_agreements',
+    'direct_deposit_authorizations',
+    'field_practice_statements',
+    'hepatitis_b_vaccinations',
+    'health_statements',
+    'influenza_vaccination_declinations',
+    'job_acceptance_forms',
+    'job_description_acknowledgments',
+    'ppe_acknowledgements',
+    'policies_procedures_statements',
+    'employee_handbook_acknowledgments',
+    'tb_medical_questionnaires'
+  ]
+  loop
+    execute format(
+      'alter table public.%I
+         add column if not exists updated_at timestamptz not null default now()',
+      form_table
+    );
+    execute format(
+      'create index if not exists %I on public.%I (user_id, created_at desc)',
+      form_table || '_user_id_created_at_idx',
+      form_table
+    );
+  end loop;
+end $$;
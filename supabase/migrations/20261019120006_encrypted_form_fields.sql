@@ -0,0 +1,10 @@
+-- Encrypted form fields (user-006). Sensitive values are stored as
+-- enc:<keyId>:<iv>:<authTag>:<ciphertext> strings, so the columns must be
+-- text whatever type they had before.
+alter table public.direct_deposit_authorizations
+  alter column routing_number type text using routing_number::text,
+  alter column account_number type text using account_number::text;
+
+alter table public.hepatitis_b_vaccinations
+  alter column social_security_number type text
+    using social_security_number::text;
@@ -0,0 +1,26 @@
+-- Audit trail (user-007). Append-only and written with the service role
+-- only, so RLS is enabled without any policies.
+create table if not exists public.audit_logs (
+  id uuid primary key default gen_random_uuid(),
+  actor_id uuid references public.users (id) on delete set null,
+  action text not null,
+  target_type text,
+  target_id text,
+  before jsonb,
+  after jsonb,
+  metadata jsonb,
+  ip_address text,
+  user_agent text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists audit_logs_created_at_idx
+  on public.audit_logs (created_at desc);
+create index if not exists audit_logs_target_id_idx
+  on public.audit_logs (target_id, created_at desc);
+create index if not exists audit_logs_actor_id_idx
+  on public.audit_logs (actor_id, created_at desc);
+create index if not exists audit_logs_action_idx
+  on public.audit_logs (action);
+
+alter table public.audit_logs enable row level security;
@@ -0,0 +1,26 @@
+-- TOTP recovery codes and application settings (user-009). Both are only
+-- touched with the service role, so RLS is enabled without any policies.
+create table if not exists public.mfa_recovery_codes (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  code_hash text not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists mfa_recovery_codes_user_id_idx
+  on public.mfa_recovery_codes (user_id)
+  where used_at is null;
+
+alter table public.mfa_recovery_codes enable row level security;
+
+-- key is the primary key: setSetting upserts on it and claimSetting relies
+-- on the duplicate-key error (23505) for one-time flags
+create table if not exists public.app_settings (
+  key text primary key,
+  value jsonb,
+  updated_by uuid references public.users (id) on delete set null,
+  updated_at timestamptz not null default now()
+);
+
+alter table public.app_settings enable row level security;
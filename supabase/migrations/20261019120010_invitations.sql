@@ -0,0 +1,22 @@
+-- Employee invitations (user-010). Only the token hash is stored. Service
+-- role only, so RLS is enabled without any policies.
+create table if not exists public.invitations (
+  id uuid primary key default gen_random_uuid(),
+  email text not null,
+  department text,
+  position text,
+  start_date date,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  invited_by uuid references public.users (id) on delete set null,
+  last_sent_at timestamptz,
+  accepted_at timestamptz,
+  accepted_user_id uuid references public.users (id) on delete set null,
+  revoked_at timestamptz,
+  revoked_by uuid references public.users (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists invitations_email_idx on public.invitations (email);
+
+alter table public.invitations enable row level security;
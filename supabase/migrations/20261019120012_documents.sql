@@ -0,0 +1,24 @@
+-- Supporting documents (user-012). File contents live in storage under
+-- storage_key; the row records which driver holds them.
+create table if not exists public.documents (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  requirement text not null,
+  form_type text,
+  original_name text not null,
+  mime_type text not null,
+  size integer not null,
+  storage_driver text not null,
+  storage_key text not null unique,
+  uploaded_by uuid references public.users (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists documents_user_id_idx
+  on public.documents (user_id, created_at desc);
+
+-- Private bucket for STORAGE_DRIVER=supabase (STORAGE_BUCKET defaults to
+-- "documents"); files are only served through the API
+insert into storage.buckets (id, name, public)
+values ('documents', 'documents', false)
+on conflict (id) do nothing;
@@ -0,0 +1,42 @@
+-- Credential expiration tracking (user-013). Dates an employee enters
+-- themselves stay unverified (verified_at null) until an admin or manager
+-- confirms them; the compliance job only counts verified credentials.
+create table if not exists public.credentials (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  credential_type text not null,
+  name text not null,
+  identifier text,
+  issued_at date,
+  expires_at timestamptz not null,
+  document_id uuid references public.documents (id) on delete set null,
+  notes text,
+  verified_at timestamptz,
+  verified_by uuid references public.users (id) on delete set null,
+  created_by uuid references public.users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Databases set up before verification existed: credentials someone other
+-- than their owner recorded count as verified
+alter table public.credentials
+  add column if not exists verified_at timestamptz,
+  add column if not exists verified_by uuid
+    references public.users (id) on delete set null;
+
+update public.credentials
+set verified_at = coalesce(updated_at, created_at)
+where verified_at is null
+  and verified_by is null
+  and created_by is distinct from user_id;
+
+create index if not exists credentials_user_id_type_idx
+  on public.credentials (user_id, credential_type, expires_at desc);
+create index if not exists credentials_expires_at_idx
+  on public.credentials (expires_at);
+
+alter table public.users
+  add column if not exists compliance_status text not null default 'compliant'
+    check (compliance_status in ('compliant', 'non_compliant')),
+  add column if not exists compliance_checked_at timestamptz;
@@ -0,0 +1,19 @@
+-- Outcome of every email sent (user-014). Service role only, so RLS is
+-- enabled without any policies.
+create table if not exists public.email_log (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid references public.users (id) on delete set null,
+  template text not null,
+  recipient text not null,
+  subject text,
+  transport text,
+  status text not null check (status in ('sent', 'failed')),
+  message_id text,
+  error text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists email_log_user_id_idx
+  on public.email_log (user_id, created_at desc);
+
+alter table public.email_log enable row level security;
@@ -0,0 +1,22 @@
+-- In-app notification inbox (user-015). Service role only, so RLS is
+-- enabled without any policies.
+create table if not exists public.notifications (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  type text not null,
+  urgency text not null default 'info'
+    check (urgency in ('info', 'reminder', 'urgent', 'overdue')),
+  title text not null,
+  message text,
+  metadata jsonb not null default '{}'::jsonb,
+  read_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists notifications_user_id_idx
+  on public.notifications (user_id, created_at desc);
+create index if not exists notifications_unread_idx
+  on public.notifications (user_id, type)
+  where read_at is null;
+
+alter table public.notifications enable row level security;
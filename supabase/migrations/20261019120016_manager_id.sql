@@ -0,0 +1,8 @@
+-- Direct reports (user-016). Managers see employees in their department
+-- and those whose manager_id points at them.
+alter table public.users
+  add column if not exists manager_id uuid
+    references public.users (id) on delete set null;
+
+create index if not exists users_manager_id_idx on public.users (manager_id);
+create index if not exists users_department_idx on public.users (department);
@@ -0,0 +1,19 @@
+-- Background employee CSV imports (user-019). POST /users/import records a
+-- row here and GET /users/import/:id reports its progress and row results.
+create table if not exists public.employee_imports (
+  id uuid primary key default gen_random_uuid(),
+  created_by uuid references public.users (id) on delete set null,
+  status text not null default 'running'
+    check (status in ('running', 'completed', 'failed')),
+  total integer not null default 0,
+  processed integer not null default 0,
+  created integer not null default 0,
+  failed integer not null default 0,
+  invalid integer not null default 0,
+  results jsonb not null default '[]'::jsonb,
+  error text,
+  started_at timestamptz,
+  finished_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
@@ -0,0 +1,25 @@
+-- NACHA prenote exports (user-020). File content is stored encrypted and the
+-- table is service role only, so RLS is enabled without any policies. An
+-- export is recorded first to claim its authorizations; content stays null
+-- until the file is written.
+create table if not exists public.payroll_exports (
+  id uuid primary key default gen_random_uuid(),
+  type text not null,
+  file_name text not null,
+  entry_count integer not null default 0,
+  authorization_ids uuid[] not null default '{}',
+  content text,
+  created_by uuid references public.users (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists payroll_exports_created_at_idx
+  on public.payroll_exports (created_at desc);
+
+alter table public.payroll_exports enable row level security;
+
+-- Authorizations already sent to the bank are left out of the next file
+alter table public.direct_deposit_authorizations
+  add column if not exists nacha_exported_at timestamptz,
+  add column if not exists nacha_export_id uuid
+    references public.payroll_exports (id) on delete set null;
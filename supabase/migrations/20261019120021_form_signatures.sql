@@ -0,0 +1,21 @@
+-- Electronic signature records (user-021). content_hash is an HMAC, under
+-- the key named by key_id, of signed_fields and their values at signing.
+create table if not exists public.form_signatures (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  form_type text not null,
+  form_id uuid not null,
+  revision integer,
+  signed_by uuid references public.users (id) on delete set null,
+  signed_at timestamptz not null default now(),
+  ip_address text,
+  user_agent text,
+  signed_fields jsonb not null default '[]'::jsonb,
+  hash_algorithm text not null,
+  key_id text not null,
+  content_hash text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists form_signatures_form_idx
+  on public.form_signatures (form_type, form_id, signed_at desc);
@@ -0,0 +1,13 @@
+-- Drawn signature images (user-022). The file lives in storage; identical
+-- uploads by the same user are stored once, keyed by their SHA-256.
+create table if not exists public.signature_images (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  sha256 text not null,
+  mime_type text not null,
+  size integer not null,
+  storage_driver text not null,
+  storage_key text not null,
+  created_at timestamptz not null default now(),
+  unique (user_id, sha256)
+);
@@ -0,0 +1,25 @@
+-- Employee offboarding (user-025). A user keeps every offboarding record;
+-- rehiring closes the open one with reactivated_at.
+alter table public.users
+  add column if not exists termination_date date,
+  add column if not exists termination_reason text;
+
+create table if not exists public.offboardings (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  termination_date date not null,
+  termination_reason text not null
+    check (termination_reason in ('resignation', 'termination', 'layoff',
+      'retirement', 'contract_end', 'other')),
+  notes text,
+  tasks jsonb not null default '{}'::jsonb,
+  initiated_by uuid references public.users (id) on delete set null,
+  completed_at timestamptz,
+  reactivated_at timestamptz,
+  reactivated_by uuid references public.users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists offboardings_user_id_idx
+  on public.offboardings (user_id, created_at desc);
@@ -0,0 +1,64 @@
+// utils/access.js
+const { supabase } = require("../config/supabase");
+
+// Quote a value for use inside a PostgREST or() filter
+const quoteFilterValue = (value) =>
+  `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+
+// PostgREST or() filter matching a manager's team: employees in their
+// department or reporting to them directly through users.manager_id
+const teamFilter = (manager) =>
+  [
+    `manager_id.eq.${quoteFilterValue(manager.id)}`,
+    manager.department
+      ? `department.eq.${quoteFilterValue(manager.department)}`
+      : null,
+  ]
+    .filter(Boolean)
+    .join(",");
+
+// Limit a users query to a manager's team. Pass referencedTable when the
+// users are embedded in a query on another table.
+const scopeToTeam = (query, manager, { referencedTable } = {}) => {
+  const role = referencedTable ? `${referencedTable}.role` : "role";
+
+  return query
+    .eq(role, "employee")
+    .or(teamFilter(manager), referencedTable ? { referencedTable } : {});
+};
+
+// Admins see every user, managers only their team
+const scopeUserQuery = (query, user, options) =>
+  user.role === "admin" ? query : scopeToTeam(query, user, options);
+
+const isOnTeam = (manager, target) =>
+  target.role === "employee" &&
+  (target.manager_id === manager.id ||
+    (!!manager.department && target.department === manager.department));
+
+// Whether user may view another user's records: themselves, anyone for
+// admins, their team for managers
+const canAccessUser = async (user, targetId) => {
+  if (!targetId) return false;
+  if (user.id === targetId || user.role === "admin") return true;
+  if (user.role !== "manager") return false;
+
+  const { data: target, error } = await supabase
+    .from("users")
+    .select("id, role, department, manager_id")
+    .eq("id", targetId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return !!target && isOnTeam(user, target);
+};
+
+module.exports = {
+  quoteFilterValue,
+  scopeToTeam,
+  scopeUserQuery,
+  canAccessUser,
+};
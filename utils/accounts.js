@@ -0,0 +1,240 @@
+// utils/accounts.js
+const Joi = require("joi");
+const { supabaseAdmin } = require("../config/supabase");
+
+// Account fields accepted at signup, also used to validate bulk imports
+const signupSchema = Joi.object({
+  email: Joi.string().email().required(),
+  password: Joi.string().min(8).required(),
+  role: Joi.string().valid("admin", "manager", "employee").default("employee"),
+  full_name: Joi.string().required(),
+  department: Joi.string().allow("").optional(),
+  position: Joi.string().allow("").optional(),
+  start_date: Joi.date().allow(null).optional(),
+});
+
+// Delete an auth user whose profile could not be set up, so the email can
+// be used again. Resolves to whether it was removed.
+const removeAuthUser = async (authUser) => {
+  const { error } = await supabaseAdmin.auth.admin.deleteUser(authUser.id);
+
+  if (error) {
+    console.error("Error removing incomplete auth user:", error);
+  }
+  return !error;
+};
+
+// Create an admin or manager account: the Supabase Auth user plus its
+// profile row. Resolves to { user } or { error } where error carries the
+// HTTP status and message to send back. When the profile can't be created
+// the auth user is deleted again.
+const createStaffAccount = async ({
+  email,
+  password,
+  role,
+  full_name,
+  department,
+  position,
+}) => {
+  const { data: authData, error: authError } =
+    await supabaseAdmin.auth.admin.createUser({
+      email,
+      password,
+      email_confirm: true,
+      user_metadata: {
+        role,
+        full_name,
+        department,
+        position,
+      },
+    });
+
+  if (authError) {
+    console.error("Auth creation error:", authError);
+    return { error: { status: 400, message: authError.message } };
+  }
+
+  // Wait for trigger
+  await new Promise((resolve) => setTimeout(resolve, 1000));
+
+  // Update user profile
+  const { data: userData, error: userError } = await supabaseAdmin
+    .from("users")
+    .update({
+      full_name,
+      department: department || null,
+      position: position || null,
+      role,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", authData.user.id)
+    .select()
+    .single();
+
+  if (!userError) {
+    return { user: userData };
+  }
+
+  console.error("Error updating admin/manager profile:", userError);
+
+  // Fallback insert
+  const { data: insertedUserData, error: insertError } = await supabaseAdmin
+    .from("users")
+    .insert({
+      id: authData.user.id,
+      email: authData.user.email,
+      full_name,
+      department: department || null,
+      position: position || null,
+      role,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    })
+    .select()
+    .single();
+
+  if (insertError) {
+    console.error("Error inserting admin/manager profile:", insertError);
+    await removeAuthUser(authData.user);
+    return { error: { status: 500, message: "Failed to create user profile" } };
+  }
+
+  return { user: insertedUserData };
+};
+
+// Create an employee account: the Supabase Auth user, its profile row with
+// a generated employee ID and the onboarding progress record. Resolves to
+// { user } or { error, authUser }. When a step fails after the auth user
+// was created it is deleted again; authUser is only set if that failed too.
+const createEmployeeAccount = async ({
+  email,
+  password,
+  full_name,
+  department,
+  position,
+  start_date,
+}) => {
+  const { data: authData, error: authError } =
+    await supabaseAdmin.auth.admin.createUser({
+      email,
+      password,
+      email_confirm: true,
+      user_metadata: {
+        role: "employee",
+        full_name,
+        department,
+        position,
+        start_date,
+      },
+    });
+
+  if (authError) {
+    console.error("Auth creation error:", authError);
+    return { error: { status: 400, message: authError.message } };
+  }
+
+  const authUser = authData.user;
+
+  // Wait a moment for the trigger to create basic user record
+  await new Promise((resolve) => setTimeout(resolve, 1000));
+
+  // Generate employee ID
+  const { data: employeeIdResult, error: idError } = await supabaseAdmin.rpc(
+    "generate_employee_id"
+  );
+
+  if (idError) {
+    console.error("Error generating employee ID:", idError);
+    return {
+      error: { status: 500, message: "Failed to generate employee ID" },
+      authUser: (await removeAuthUser(authUser)) ? undefined : authUser,
+    };
+  }
+
+  const profile = {
+    full_name,
+    department: department || null,
+    position: position || null,
+    start_date: start_date || null,
+    employee_id: employeeIdResult,
+    role: "employee",
+  };
+
+  // Update the user record created by the trigger with additional info
+  let { data: userData, error: userError } = await supabaseAdmin
+    .from("users")
+    .update({ ...profile, updated_at: new Date().toISOString() })
+    .eq("id", authUser.id)
+    .select()
+    .single();
+
+  if (userError) {
+    console.error("Error updating user profile:", userError);
+
+    // Fallback: try to insert if update failed (in case trigger didn't work)
+    const { data: insertedUserData, error: insertError } = await supabaseAdmin
+      .from("users")
+      .insert({
+        id: authUser.id,
+        email: authUser.email,
+        ...profile,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .select()
+      .single();
+
+    if (insertError) {
+      console.error("Error inserting user profile:", insertError);
+      return {
+        error: { status: 500, message: "Failed to create user profile" },
+        authUser: (await removeAuthUser(authUser)) ? undefined : authUser,
+      };
+    }
+
+    userData = insertedUserData;
+  }
+
+  // Ensure onboarding progress record exists
+  const { error: progressError } = await supabaseAdmin
+    .from("onboarding_progress")
+    .insert({
+      user_id: authUser.id,
+      started_at: new Date().toISOString(),
+    });
+
+  if (progressError && progressError.code !== "23505") {
+    // Ignore duplicate key error
+    console.error("Error creating onboarding progress:", progressError);
+  }
+
+  return { user: userData };
+};
+
+// Number of active admin accounts, optionally ignoring one user
+const countActiveAdmins = async (excludeUserId = null) => {
+  let query = supabaseAdmin
+    .from("users")
+    .select("id", { count: "exact", head: true })
+    .eq("role", "admin")
+    .neq("is_active", false);
+
+  if (excludeUserId) {
+    query = query.neq("id", excludeUserId);
+  }
+
+  const { count, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  return count;
+};
+
+module.exports = {
+  signupSchema,
+  createStaffAccount,
+  createEmployeeAccount,
+  countActiveAdmins,
+};
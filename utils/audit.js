@@ -0,0 +1,41 @@
+// utils/audit.js
+const { supabaseAdmin } = require("../config/supabase");
+
+// Append an entry to the audit trail. Failures are logged and never break
+// the request being audited.
+const recordAudit = async (
+  req,
+  {
+    action,
+    actorId,
+    targetType = null,
+    targetId = null,
+    before = null,
+    after = null,
+    metadata = null,
+  }
+) => {
+  try {
+    const { error } = await supabaseAdmin.from("audit_logs").insert({
+      actor_id:
+        actorId !== undefined ? actorId : (req.user && req.user.id) || null,
+      action,
+      target_type: targetType,
+      target_id: targetId,
+      before,
+      after,
+      metadata,
+      ip_address: req.ip || null,
+      user_agent: req.get("user-agent") || null,
+      created_at: new Date().toISOString(),
+    });
+
+    if (error) {
+      console.error("Error recording audit log:", error);
+    }
+  } catch (error) {
+    console.error("Error recording audit log:", error);
+  }
+};
+
+module.exports = { recordAudit };
@@ -0,0 +1,80 @@
+// utils/csv.js
+
+// Parse CSV text (RFC 4180: quoted fields, escaped quotes, CRLF or LF) into
+// rows of { line, cells }, line being where the row starts in the file
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line += 1;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      field = "";
+      line += 1;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error("Unterminated quoted field");
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push({ line: rowLine, cells: row });
+  }
+
+  // Drop blank lines
+  return rows.filter(({ cells }) => cells.some((cell) => cell.trim() !== ""));
+};
+
+// Parse CSV text with a header row into objects keyed by the lower-cased
+// header names. Each record also carries the line number it came from.
+const parseCsv = (text) => {
+  const [header, ...rows] = parseCsvRows(text);
+
+  if (!header) {
+    return { columns: [], records: [] };
+  }
+
+  const columns = header.cells.map((name) => name.trim().toLowerCase());
+  const records = rows.map(({ line, cells }) => ({
+    line,
+    values: columns.reduce((acc, column, position) => {
+      acc[column] = (cells[position] || "").trim();
+      return acc;
+    }, {}),
+  }));
+
+  return { columns, records };
+};
+
+module.exports = { parseCsv };
@@ -0,0 +1,24 @@
+// utils/diff.js
+
+// Field-by-field differences between two flat objects.
+// Values are compared by their JSON representation so dates and nulls line up.
+const diffObjects = (before = {}, after = {}) => {
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  const changes = [];
+
+  for (const field of fields) {
+    const from = before && before[field] !== undefined ? before[field] : null;
+    const to = after && after[field] !== undefined ? after[field] : null;
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  }
+
+  return changes;
+};
+
+module.exports = { diffObjects };
@@ -0,0 +1,120 @@
+// utils/documents.js
+const crypto = require("crypto");
+const { supabase } = require("../config/supabase");
+const { ALLOWED_FILE_TYPES } = require("../config/documents");
+const { getStorage } = require("./storage");
+const { canAccessUser } = require("./access");
+
+// Check the file's leading bytes so a renamed file can't pass as a PDF/image
+const matchesSignature = (buffer, mimeType) => {
+  const type = ALLOWED_FILE_TYPES[mimeType];
+  return (
+    !!type && type.signature.every((byte, index) => buffer[index] === byte)
+  );
+};
+
+// Save an uploaded file (from multer's memory storage) and record it.
+// Resolves to the usual { data, error } pair.
+const storeDocument = async ({
+  userId,
+  uploadedBy,
+  requirement,
+  formType = null,
+  file,
+}) => {
+  if (!matchesSignature(file.buffer, file.mimetype)) {
+    return {
+      data: null,
+      error: { message: "File content does not match its type" },
+    };
+  }
+
+  const storage = getStorage();
+  const key = `${userId}/${crypto.randomUUID()}.${
+    ALLOWED_FILE_TYPES[file.mimetype].extension
+  }`;
+
+  await storage.save(key, file.buffer, file.mimetype);
+
+  const { data, error } = await supabase
+    .from("documents")
+    .insert({
+      user_id: userId,
+      requirement,
+      form_type: formType,
+      original_name: file.originalname,
+      mime_type: file.mimetype,
+      size: file.size,
+      storage_driver: storage.name,
+      storage_key: key,
+      uploaded_by: uploadedBy,
+      created_at: new Date().toISOString(),
+    })
+    .select()
+    .single();
+
+  if (error) {
+    // Don't leave orphaned files behind
+    await storage.remove(key).catch(() => {});
+  }
+
+  return { data, error };
+};
+
+const listDocuments = async (userId) => {
+  const { data, error } = await supabase
+    .from("documents")
+    .select("*")
+    .eq("user_id", userId)
+    .order("created_at", { ascending: false });
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+};
+
+const getDocument = async (id) => {
+  const { data, error } = await supabase
+    .from("documents")
+    .select("*")
+    .eq("id", id)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+};
+
+const readDocument = (document) =>
+  getStorage(document.storage_driver).read(document.storage_key);
+
+const deleteDocument = async (document) => {
+  const { error } = await supabase
+    .from("documents")
+    .delete()
+    .eq("id", document.id);
+
+  if (error) {
+    throw error;
+  }
+
+  await getStorage(document.storage_driver).remove(document.storage_key);
+};
+
+// Employees see their own documents, admins everyone's and managers
+// their team's
+const canAccessDocument = (user, document) =>
+  canAccessUser(user, document.user_id);
+
+module.exports = {
+  storeDocument,
+  listDocuments,
+  getDocument,
+  readDocument,
+  deleteDocument,
+  canAccessDocument,
+};
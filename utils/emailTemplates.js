@@ -0,0 +1,106 @@
+// utils/emailTemplates.js
+
+const escapeHtml = (value) =>
+  String(value === null || value === undefined ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const appUrl = (pathname = "") =>
+  process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}${pathname}` : null;
+
+// Build text and html bodies from the same paragraphs
+const message = (subject, paragraphs, link) => {
+  const lines = paragraphs.filter(Boolean);
+  const text = [...lines, link ? link.url : null].filter(Boolean).join("\n\n");
+  const html = [
+    ...lines.map((line) => `<p>${escapeHtml(line)}</p>`),
+    link
+      ? `<p><a href="${escapeHtml(link.url)}">${escapeHtml(link.label)}</a></p>`
+      : null,
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  return { subject, text, html };
+};
+
+// Every template takes a data object and returns { subject, text, html }
+const templates = {
+  welcome: ({ full_name, employee_id, password_setup }) =>
+    message(
+      "Welcome to MMO",
+      [
+        `Hi ${full_name},`,
+        "Your employee account has been created.",
+        employee_id ? `Your employee ID is ${employee_id}.` : null,
+        password_setup
+          ? "We have sent you a separate email to choose your password."
+          : null,
+        "Please log in and complete your onboarding forms before your start date.",
+      ],
+      appUrl("/login") && { url: appUrl("/login"), label: "Log in" }
+    ),
+
+  invitation: ({ department, position, invitation_url, expires_at }) =>
+    message(
+      "You're invited to join MMO",
+      [
+        "You have been invited to create your MMO employee account.",
+        position || department
+          ? `Position: ${[position, department].filter(Boolean).join(", ")}`
+          : null,
+        `This invitation expires on ${new Date(expires_at).toDateString()}.`,
+      ],
+      invitation_url && { url: invitation_url, label: "Create your account" }
+    ),
+
+  form_rejected: ({ full_name, form_title, status, comment }) =>
+    message(
+      `Action needed: ${form_title}`,
+      [
+        `Hi ${full_name},`,
+        status === "needs_changes"
+          ? `Your ${form_title} needs changes before it can be approved.`
+          : `Your ${form_title} was rejected.`,
+        comment ? `Reviewer comment: ${comment}` : null,
+        "Please update and resubmit the form.",
+      ],
+      appUrl("/onboarding") && {
+        url: appUrl("/onboarding"),
+        label: "Open onboarding",
+      }
+    ),
+
+  onboarding_completed: ({ full_name }) =>
+    message("Your onboarding is complete", [
+      `Hi ${full_name},`,
+      "All of your onboarding forms have been reviewed and approved. Welcome aboard!",
+    ]),
+
+  account_deactivated: ({ full_name }) =>
+    message("Your MMO account has been deactivated", [
+      `Hi ${full_name},`,
+      "Your MMO account has been deactivated. If you think this is a mistake, please contact HR.",
+    ]),
+
+  account_reactivated: ({ full_name }) =>
+    message(
+      "Welcome back to MMO",
+      [
+        `Hi ${full_name},`,
+        "Your MMO account has been reactivated. You can sign in again with your existing password.",
+      ],
+      appUrl("/login") && { url: appUrl("/login"), label: "Sign in" }
+    ),
+};
+
+const renderTemplate = (name, data) => {
+  if (!templates[name]) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+  return templates[name](data);
+};
+
+module.exports = { renderTemplate };
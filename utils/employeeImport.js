@@ -0,0 +1,274 @@
+// utils/employeeImport.js
+const crypto = require("crypto");
+const Joi = require("joi");
+const { supabase, supabaseAdmin } = require("../config/supabase");
+const { signupSchema, createEmployeeAccount } = require("./accounts");
+const { parseCsv } = require("./csv");
+const { fetchAll } = require("./pagination");
+
+const MAX_IMPORT_ROWS = parseInt(process.env.MAX_IMPORT_ROWS || "500", 10);
+
+// A running import updates its record after every row; one silent for
+// this long was cut off, e.g. by a server restart
+const STALE_IMPORT_MS = 15 * 60 * 1000;
+
+const IMPORT_COLUMNS = [
+  "email",
+  "full_name",
+  "department",
+  "position",
+  "start_date",
+];
+
+// Imported employees get a random password and set their own through the
+// password reset email
+const importRowSchema = signupSchema
+  .fork(["password"], (field) => field.optional())
+  .keys({ role: Joi.string().valid("employee").default("employee") });
+
+// Emails already in use, lower-cased. Stored emails may differ in case
+// from the file, so every one is compared rather than matched in the query.
+const findExistingEmails = async (emails) => {
+  if (!emails.length) return new Set();
+
+  const users = await fetchAll(() =>
+    supabaseAdmin.from("users").select("id, email").order("id")
+  );
+
+  return new Set(
+    users.filter((user) => user.email).map((user) => user.email.toLowerCase())
+  );
+};
+
+// Validate every CSV row. Resolves to { error } when the file itself is
+// unusable, otherwise { rows } with each row's values or errors.
+const validateEmployeeCsv = async (text) => {
+  let parsed;
+  try {
+    parsed = parseCsv(text);
+  } catch (error) {
+    return { error: `Invalid CSV: ${error.message}` };
+  }
+
+  const { columns, records } = parsed;
+  const missingColumns = ["email", "full_name"].filter(
+    (column) => !columns.includes(column)
+  );
+
+  if (missingColumns.length) {
+    return { error: `Missing required columns: ${missingColumns.join(", ")}` };
+  }
+  if (!records.length) {
+    return { error: "CSV file has no rows" };
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    return { error: `CSV file exceeds the ${MAX_IMPORT_ROWS} row limit` };
+  }
+
+  const rows = records.map(({ line, values }) => {
+    const input = IMPORT_COLUMNS.reduce((acc, column) => {
+      if (values[column]) acc[column] = values[column];
+      return acc;
+    }, {});
+    const { error, value } = importRowSchema.validate(input, {
+      abortEarly: false,
+    });
+
+    return {
+      line,
+      email: input.email || null,
+      value: error ? null : { ...value, email: value.email.toLowerCase() },
+      errors: error ? error.details.map((detail) => detail.message) : [],
+    };
+  });
+
+  const valid = rows.filter((row) => row.value);
+  const existing = await findExistingEmails(
+    valid.map((row) => row.value.email)
+  );
+  const seen = new Set();
+
+  for (const row of valid) {
+    const { email } = row.value;
+
+    if (existing.has(email)) {
+      row.errors.push("An account with this email already exists");
+    } else if (seen.has(email)) {
+      row.errors.push("Duplicate email in file");
+    }
+    seen.add(email);
+
+    if (row.errors.length) row.value = null;
+  }
+
+  return { rows };
+};
+
+// Create the accounts for validated rows, one at a time, and report the
+// outcome of every row. onProgress gets the results so far after each row.
+const importEmployees = async (rows, { onCreated, onProgress } = {}) => {
+  const results = [];
+
+  for (const row of rows) {
+    results.push(await importRow(row, { onCreated }));
+    if (onProgress) await onProgress(results);
+  }
+
+  return results;
+};
+
+const importRow = async (row, { onCreated }) => {
+  if (!row.value) {
+    return {
+      line: row.line,
+      email: row.email,
+      status: "invalid",
+      errors: row.errors,
+    };
+  }
+
+  const { user, error } = await createEmployeeAccount({
+    ...row.value,
+    password: crypto.randomBytes(24).toString("base64url"),
+  });
+
+  if (error) {
+    return {
+      line: row.line,
+      email: row.value.email,
+      status: "failed",
+      errors: [error.message],
+    };
+  }
+
+  const { error: resetError } = await supabase.auth.resetPasswordForEmail(
+    user.email
+  );
+  if (resetError) {
+    console.error("Error sending password setup email:", resetError);
+  }
+
+  if (onCreated) await onCreated(user);
+
+  return {
+    line: row.line,
+    email: user.email,
+    status: "created",
+    user: {
+      id: user.id,
+      employee_id: user.employee_id,
+      full_name: user.full_name,
+    },
+  };
+};
+
+const summarizeResults = (results) => {
+  const count = (status) =>
+    results.filter((result) => result.status === status).length;
+
+  return {
+    processed: results.length,
+    created: count("created"),
+    failed: count("failed"),
+    invalid: count("invalid"),
+  };
+};
+
+const updateImport = async (importId, changes) => {
+  const { error } = await supabase
+    .from("employee_imports")
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq("id", importId);
+
+  if (error) {
+    console.error("Error updating employee import:", error);
+  }
+};
+
+// Record an import and create its accounts in the background, as each one
+// takes a while. Resolves to the import record straight away; its status,
+// counts and row results are updated as rows are processed.
+const startEmployeeImport = async (rows, { createdBy, onCreated }) => {
+  const now = new Date().toISOString();
+  const { data: record, error } = await supabase
+    .from("employee_imports")
+    .insert({
+      created_by: createdBy,
+      status: "running",
+      total: rows.length,
+      ...summarizeResults([]),
+      results: [],
+      error: null,
+      started_at: now,
+      finished_at: null,
+      created_at: now,
+      updated_at: now,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    return { data: null, error };
+  }
+
+  importEmployees(rows, {
+    onCreated,
+    onProgress: (results) =>
+      updateImport(record.id, { ...summarizeResults(results), results }),
+  })
+    .then((results) =>
+      updateImport(record.id, {
+        ...summarizeResults(results),
+        results,
+        status: "completed",
+        finished_at: new Date().toISOString(),
+      })
+    )
+    .catch((importError) => {
+      console.error("Employee import error:", importError);
+      return updateImport(record.id, {
+        status: "failed",
+        error: importError.message,
+        finished_at: new Date().toISOString(),
+      });
+    });
+
+  return { data: record, error: null };
+};
+
+// Mark imports that stopped reporting progress as failed, so they don't
+// stay running forever. Resolves to the number of imports marked.
+const failStaleImports = async () => {
+  const now = new Date();
+  const { data, error } = await supabase
+    .from("employee_imports")
+    .update({
+      status: "failed",
+      error: "Import was interrupted before it finished",
+      finished_at: now.toISOString(),
+      updated_at: now.toISOString(),
+    })
+    .eq("status", "running")
+    .lt("updated_at", new Date(now.getTime() - STALE_IMPORT_MS).toISOString())
+    .select("id");
+
+  if (error) {
+    throw error;
+  }
+  return { failed: data.length };
+};
+
+const getEmployeeImport = (importId) =>
+  supabase
+    .from("employee_imports")
+    .select("*")
+    .eq("id", importId)
+    .maybeSingle();
+
+module.exports = {
+  validateEmployeeCsv,
+  importEmployees,
+  startEmployeeImport,
+  getEmployeeImport,
+  failStaleImports,
+};
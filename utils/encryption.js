@@ -0,0 +1,131 @@
+// utils/encryption.js
+const crypto = require("crypto");
+
+const ALGORITHM = "aes-256-gcm";
+const PREFIX = "enc";
+
+// Parse a keyring from the environment: `keysVar` holds comma separated
+// `keyId:base64Key` pairs, each key 32 bytes, and `idVar` picks the key used
+// for new values (the first one listed by default). The others stay
+// available for values written before a rotation.
+const loadKeyring = (keysVar, idVar, label) => {
+  const keys = {};
+
+  for (const entry of (process.env[keysVar] || "").split(",")) {
+    const [id, secret] = entry.trim().split(":");
+    if (!id || !secret) continue;
+
+    const key = Buffer.from(secret, "base64");
+    if (key.length !== 32) {
+      throw new Error(`${label} key "${id}" must be 32 bytes`);
+    }
+    keys[id] = key;
+  }
+
+  const ids = Object.keys(keys);
+  if (!ids.length) {
+    throw new Error(`${label} keys are not configured (${keysVar})`);
+  }
+
+  const currentId = process.env[idVar] || ids[0];
+  if (!keys[currentId]) {
+    throw new Error(
+      `Unknown current ${label.toLowerCase()} key "${currentId}"`
+    );
+  }
+
+  return { keys, currentId };
+};
+
+// Keys for field encryption: FIELD_ENCRYPTION_KEYS and FIELD_ENCRYPTION_KEY_ID
+const loadKeys = () =>
+  loadKeyring("FIELD_ENCRYPTION_KEYS", "FIELD_ENCRYPTION_KEY_ID", "Encryption");
+
+const isEncrypted = (value) =>
+  typeof value === "string" && value.startsWith(`${PREFIX}:`);
+
+// Encrypted values look like enc:<keyId>:<iv>:<authTag>:<ciphertext>
+const encryptValue = (value) => {
+  if (value === null || value === undefined || value === "") {
+    return value;
+  }
+  if (isEncrypted(value)) {
+    return value;
+  }
+
+  const { keys, currentId } = loadKeys();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys[currentId], iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(String(value), "utf8"),
+    cipher.final(),
+  ]);
+
+  return [
+    PREFIX,
+    currentId,
+    iv.toString("base64"),
+    cipher.getAuthTag().toString("base64"),
+    ciphertext.toString("base64"),
+  ].join(":");
+};
+
+// Plain values stored before encryption was introduced are returned as-is
+const decryptValue = (value) => {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [, keyId, iv, authTag, ciphertext] = value.split(":");
+  const { keys } = loadKeys();
+
+  if (!keys[keyId]) {
+    throw new Error(`Unknown encryption key "${keyId}"`);
+  }
+
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    keys[keyId],
+    Buffer.from(iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(authTag, "base64"));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+};
+
+// True when a value is not yet encrypted with the current key
+const needsReencryption = (value) => {
+  if (value === null || value === undefined || value === "") {
+    return false;
+  }
+  if (!isEncrypted(value)) {
+    return true;
+  }
+  return value.split(":")[1] !== loadKeys().currentId;
+};
+
+// Show only the last four characters of a (decrypted) value
+const maskValue = (value) => {
+  if (value === null || value === undefined || value === "") {
+    return value;
+  }
+
+  const text = String(value);
+  const visible = text.length > 4 ? text.slice(-4) : "";
+  return "*".repeat(Math.max(text.length - visible.length, 4)) + visible;
+};
+
+const isMasked = (value) =>
+  typeof value === "string" && /^\*{4,}[^*]{0,4}$/.test(value);
+
+module.exports = {
+  encryptValue,
+  decryptValue,
+  needsReencryption,
+  maskValue,
+  isMasked,
+  loadKeyring,
+};
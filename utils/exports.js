@@ -0,0 +1,122 @@
+// utils/exports.js
+const ExcelJS = require("exceljs");
+
+const EXPORT_FORMATS = ["csv", "xlsx"];
+const BATCH_SIZE = 500;
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object") return JSON.stringify(value);
+  return value;
+};
+
+// Quote CSV values and neutralise spreadsheet formulas
+const csvCell = (value) => {
+  let text = String(formatCell(value));
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Parse a comma-separated ?columns= value against the allowed columns.
+// Defaults to every allowed column.
+const selectColumns = (requested, allowed) => {
+  if (!requested) {
+    return { columns: allowed };
+  }
+
+  const columns = requested
+    .split(",")
+    .map((column) => column.trim())
+    .filter(Boolean);
+  const unknown = columns.filter((column) => !allowed.includes(column));
+
+  if (!columns.length || unknown.length) {
+    return {
+      error: `Unknown columns: ${unknown.join(", ") || requested}. Allowed columns: ${allowed.join(", ")}`,
+    };
+  }
+  return { columns };
+};
+
+// Write a chunk and wait for the response to drain, or to close when the
+// client goes away mid-export
+const write = (res, chunk) => {
+  if (res.destroyed || res.write(chunk)) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      res.off("error", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+    res.on("error", done);
+  });
+};
+
+// Stream rows to the response as CSV or XLSX. fetchBatch(offset, limit)
+// returns the next batch of rows, so only one batch is held in memory.
+const streamExport = async (
+  res,
+  { format, filename, columns, fetchBatch, mapRow = (row) => row }
+) => {
+  res.attachment(`${filename}.${format}`);
+  res.setHeader("Content-Type", CONTENT_TYPES[format]);
+
+  let workbook;
+  let sheet;
+
+  if (format === "xlsx") {
+    workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+    sheet = workbook.addWorksheet("Export");
+    sheet.columns = columns.map((column) => ({
+      header: column,
+      key: column,
+      width: 20,
+    }));
+  } else {
+    await write(res, `${columns.map(csvCell).join(",")}\r\n`);
+  }
+
+  // Stop fetching once the client has disconnected
+  for (let offset = 0; !res.destroyed; offset += BATCH_SIZE) {
+    const rows = await fetchBatch(offset, BATCH_SIZE);
+
+    for (const row of rows.map(mapRow)) {
+      if (res.destroyed) break;
+
+      const values = columns.map((column) => formatCell(row[column]));
+
+      if (sheet) {
+        sheet.addRow(values).commit();
+      } else {
+        await write(res, `${values.map(csvCell).join(",")}\r\n`);
+      }
+    }
+
+    if (rows.length < BATCH_SIZE) break;
+  }
+
+  if (res.destroyed) {
+    return;
+  }
+
+  if (workbook) {
+    sheet.commit();
+    await workbook.commit();
+  } else {
+    res.end();
+  }
+};
+
+module.exports = { EXPORT_FORMATS, selectColumns, streamExport };
@@ -0,0 +1,330 @@
+// utils/formSubmissions.js
+const { supabase } = require("../config/supabase");
+const { FORM_TABLES, getFormType } = require("../config/forms");
+const { diffObjects } = require("./diff");
+const { refreshOnboardingProgress } = require("./onboardingProgress");
+const { recordSignature } = require("./signatures");
+const { storeDrawnSignatures } = require("./signatureImages");
+const {
+  encryptFormFields,
+  decryptFormFields,
+  keepMaskedFields,
+  findUnresolvedMask,
+  encryptChanges,
+  maskFormFields,
+  maskChanges,
+} = require("./sensitiveFields");
+
+// Current (most recent) submission of a form for a user, or null
+const getCurrentForm = async (userId, formType) => {
+  const { data, error } = await supabase
+    .from(FORM_TABLES[formType])
+    .select("*")
+    .eq("user_id", userId)
+    .order("created_at", { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  return data[0] || null;
+};
+
+const getLatestRevision = async (userId, formType) => {
+  const { data, error } = await supabase
+    .from("form_revisions")
+    .select("*")
+    .eq("user_id", userId)
+    .eq("form_type", formType)
+    .order("revision", { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  return data[0] || null;
+};
+
+// Review statuses that send a form back to the employee
+const RESUBMITTABLE_STATUSES = ["rejected", "needs_changes"];
+
+const canResubmit = (row) => RESUBMITTABLE_STATUSES.includes(row.review_status);
+
+// Every field of the form's schema, null where the submission left it out
+const withAllFields = (formType, values) =>
+  Object.keys(getFormType(formType).schema.describe().keys).reduce(
+    (acc, field) => {
+      acc[field] = values[field] === undefined ? null : values[field];
+      return acc;
+    },
+    { ...values }
+  );
+
+// How often a revision number taken by a concurrent submission is retried
+const MAX_REVISION_ATTEMPTS = 3;
+
+// Append the next immutable revision of a stored form. Revision numbers
+// are unique per user and form, so a number another submission took first
+// is retried with the next one. Resolves to { revision } or { error }.
+const appendRevision = async (
+  userId,
+  formType,
+  { row, stored, value, current, now }
+) => {
+  for (let attempt = 1; ; attempt += 1) {
+    let latestRevision;
+    try {
+      latestRevision = await getLatestRevision(userId, formType);
+    } catch (error) {
+      return { error };
+    }
+
+    // Forms submitted before revisions existed have no snapshot yet, so
+    // compare against the fields of the row being replaced
+    const previous = decryptFormFields(
+      formType,
+      latestRevision
+        ? latestRevision.data
+        : current &&
+            Object.keys(value).reduce((acc, field) => {
+              acc[field] = current[field];
+              return acc;
+            }, {})
+    );
+
+    const revision = latestRevision ? latestRevision.revision + 1 : 1;
+
+    const { error } = await supabase.from("form_revisions").insert({
+      user_id: userId,
+      form_type: formType,
+      form_id: row.id,
+      revision,
+      data: stored,
+      changes: previous
+        ? encryptChanges(formType, diffObjects(previous, value))
+        : [],
+      changed_by: userId,
+      created_at: now,
+    });
+
+    if (!error) {
+      return { revision };
+    }
+    if (error.code !== "23505" || attempt === MAX_REVISION_ATTEMPTS) {
+      return { error };
+    }
+  }
+};
+
+// Store a validated form submission as the user's current version of the form
+// (drawn signatures go to storage, the form keeps a reference), append an
+// immutable revision, discard any draft of the same form and
+// refresh the user's onboarding progress. Sensitive fields are encrypted
+// before anything is written; the returned row still holds the ciphertext.
+// The submission is signed with the request's ip and userAgent (see
+// utils/signatures.js); if the revision or the signature can't be recorded
+// the submission fails. Resolves to the usual { data, error } pair from
+// Supabase, plus the row that was replaced (if any) as `previous`. A form
+// can only be resubmitted once a reviewer has sent it back; otherwise the
+// error carries status 409.
+const submitForm = async (
+  userId,
+  formType,
+  submitted,
+  { ip, userAgent } = {}
+) => {
+  const table = FORM_TABLES[formType];
+  const now = new Date().toISOString();
+
+  let current;
+  try {
+    current = await getCurrentForm(userId, formType);
+  } catch (error) {
+    return { data: null, error };
+  }
+
+  if (current && !canResubmit(current)) {
+    return {
+      data: null,
+      error: {
+        status: 409,
+        message:
+          "This form has already been submitted and is not open for resubmission",
+      },
+    };
+  }
+
+  let signed;
+  try {
+    signed = await storeDrawnSignatures(
+      userId,
+      getFormType(formType),
+      submitted
+    );
+  } catch (error) {
+    return { data: null, error };
+  }
+
+  if (signed.error) {
+    return { data: null, error: signed.error };
+  }
+
+  // Fields left out of a resubmission are cleared, so the stored form and
+  // its revision hold exactly what was submitted this time
+  const value = withAllFields(
+    formType,
+    keepMaskedFields(formType, signed.values, current)
+  );
+  const unresolved = findUnresolvedMask(formType, value);
+  if (unresolved) {
+    return {
+      data: null,
+      error: { message: `"${unresolved}" must be entered in full` },
+    };
+  }
+
+  const stored = encryptFormFields(formType, value);
+
+  // Resubmitting replaces the current version and sends it back for review
+  const query = current
+    ? supabase
+        .from(table)
+        .update({
+          ...stored,
+          review_status: "pending",
+          review_comment: null,
+          reviewed_by: null,
+          reviewed_at: null,
+          ...(getFormType(formType).resetOnResubmit || []).reduce(
+            (acc, column) => ({ ...acc, [column]: null }),
+            {}
+          ),
+          updated_at: now,
+        })
+        .eq("id", current.id)
+    : supabase.from(table).insert({
+        user_id: userId,
+        ...stored,
+      });
+
+  const { data, error } = await query.select().single();
+
+  if (error) {
+    return { data, error };
+  }
+
+  const { revision, error: revisionError } = await appendRevision(
+    userId,
+    formType,
+    { row: data, stored, value, current, now }
+  );
+
+  if (revisionError) {
+    console.error("Error recording form revision:", revisionError);
+    return { data: null, error: revisionError };
+  }
+
+  const { error: signatureError } = await recordSignature(formType, data, {
+    signedBy: userId,
+    revision,
+    ip,
+    userAgent,
+  });
+
+  if (signatureError) {
+    console.error("Error recording form signature:", signatureError);
+    return { data: null, error: signatureError };
+  }
+
+  const { error: draftError } = await supabase
+    .from("form_drafts")
+    .delete()
+    .eq("user_id", userId)
+    .eq("form_type", formType);
+
+  if (draftError) {
+    console.error("Error deleting submitted draft:", draftError);
+  }
+
+  await refreshOnboardingProgress(userId);
+
+  return { data, error, previous: current };
+};
+
+const fetchFormRevisions = async (userId, formType) => {
+  const { data, error } = await supabase
+    .from("form_revisions")
+    .select("*")
+    .eq("user_id", userId)
+    .eq("form_type", formType)
+    .order("revision", { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+};
+
+// Revision history of a form for a user, oldest first, with sensitive
+// fields masked
+const getFormRevisions = async (userId, formType) => {
+  const revisions = await fetchFormRevisions(userId, formType);
+
+  return revisions.map((revision) => ({
+    ...revision,
+    data: maskFormFields(formType, revision.data),
+    changes: maskChanges(formType, revision.changes),
+  }));
+};
+
+// Differences between two revisions of a form. Defaults to comparing the
+// latest revision with the one before it.
+const diffFormRevisions = async (userId, formType, from, to) => {
+  const revisions = await fetchFormRevisions(userId, formType);
+
+  if (!revisions.length) {
+    return null;
+  }
+
+  const toNumber = to || revisions[revisions.length - 1].revision;
+  const fromNumber = from || toNumber - 1;
+  const toRevision = revisions.find((rev) => rev.revision === toNumber);
+  const fromRevision = revisions.find((rev) => rev.revision === fromNumber);
+
+  if (!toRevision || (fromNumber > 0 && !fromRevision)) {
+    return null;
+  }
+
+  return {
+    from: fromRevision
+      ? {
+          revision: fromRevision.revision,
+          changed_by: fromRevision.changed_by,
+          created_at: fromRevision.created_at,
+        }
+      : null,
+    to: {
+      revision: toRevision.revision,
+      changed_by: toRevision.changed_by,
+      created_at: toRevision.created_at,
+    },
+    changes: maskChanges(
+      formType,
+      diffObjects(
+        decryptFormFields(formType, fromRevision ? fromRevision.data : {}),
+        decryptFormFields(formType, toRevision.data)
+      )
+    ),
+  };
+};
+
+module.exports = {
+  canResubmit,
+  getCurrentForm,
+  submitForm,
+  getFormRevisions,
+  diffFormRevisions,
+};
@@ -0,0 +1,87 @@
+// utils/invitations.js
+const crypto = require("crypto");
+const { supabaseAdmin } = require("../config/supabase");
+
+// Only a hash of the token is stored; the clear token goes to the invitee
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const createInvitationToken = () => {
+  const token = crypto.randomBytes(32).toString("base64url");
+  return { token, tokenHash: hashToken(token) };
+};
+
+const invitationUrl = (token) =>
+  process.env.FRONTEND_URL
+    ? `${process.env.FRONTEND_URL}/signup?invitation=${encodeURIComponent(
+        token
+      )}`
+    : null;
+
+const getInvitationStatus = (invitation) => {
+  if (invitation.accepted_at) return "accepted";
+  if (invitation.revoked_at) return "revoked";
+  if (new Date(invitation.expires_at) <= new Date()) return "expired";
+  return "pending";
+};
+
+// Atomically mark a pending invitation as accepted so a token can only be
+// used once. Resolves to { invitation } or { error } with a client message.
+const claimInvitation = async (token, email) => {
+  const { data, error } = await supabaseAdmin
+    .from("invitations")
+    .update({ accepted_at: new Date().toISOString() })
+    .eq("token_hash", hashToken(token))
+    .is("accepted_at", null)
+    .is("revoked_at", null)
+    .gt("expires_at", new Date().toISOString())
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!data) {
+    return { error: "Invalid or expired invitation" };
+  }
+
+  if (data.email.toLowerCase() !== email.toLowerCase()) {
+    await releaseInvitation(data.id);
+    return { error: "Invitation was issued for a different email address" };
+  }
+
+  return { invitation: data };
+};
+
+// Undo a claim when the account could not be created
+const releaseInvitation = async (id) => {
+  const { error } = await supabaseAdmin
+    .from("invitations")
+    .update({ accepted_at: null })
+    .eq("id", id);
+
+  if (error) {
+    console.error("Error releasing invitation:", error);
+  }
+};
+
+const completeInvitation = async (id, userId) => {
+  const { error } = await supabaseAdmin
+    .from("invitations")
+    .update({ accepted_user_id: userId })
+    .eq("id", id);
+
+  if (error) {
+    console.error("Error completing invitation:", error);
+  }
+};
+
+module.exports = {
+  createInvitationToken,
+  invitationUrl,
+  getInvitationStatus,
+  claimInvitation,
+  releaseInvitation,
+  completeInvitation,
+};
@@ -0,0 +1,102 @@
+// utils/jsonSchema.js
+
+const ruleArg = (description, name) => {
+  const rule = (description.rules || []).find((item) => item.name === name);
+  return rule ? rule.args : undefined;
+};
+
+// Convert a Joi description (from schema.describe()) to JSON Schema.
+// Covers the subset of Joi used by the onboarding form schemas.
+const describeToJsonSchema = (description) => {
+  const flags = description.flags || {};
+  const allow = description.allow || [];
+  let schema;
+
+  switch (description.type) {
+    case "object": {
+      schema = { type: "object", properties: {}, additionalProperties: false };
+      const required = [];
+
+      for (const [key, child] of Object.entries(description.keys || {})) {
+        schema.properties[key] = describeToJsonSchema(child);
+        if (child.flags && child.flags.presence === "required") {
+          required.push(key);
+        }
+      }
+
+      if (required.length) {
+        schema.required = required;
+      }
+      break;
+    }
+    case "alternatives":
+      schema = {
+        anyOf: (description.matches || []).map((match) =>
+          describeToJsonSchema(match.schema)
+        ),
+      };
+      break;
+    case "string": {
+      schema = { type: "string" };
+      const length = ruleArg(description, "length");
+      const min = ruleArg(description, "min");
+      const max = ruleArg(description, "max");
+      const pattern = ruleArg(description, "pattern");
+
+      if (length) {
+        schema.minLength = length.limit;
+        schema.maxLength = length.limit;
+      }
+      if (min) schema.minLength = min.limit;
+      if (max) schema.maxLength = max.limit;
+      if (pattern) {
+        schema.pattern = pattern.regex.replace(/^\/|\/[a-z]*$/g, "");
+      }
+      if (schema.minLength === undefined && !allow.includes("")) {
+        schema.minLength = 1;
+      }
+      break;
+    }
+    case "number": {
+      const integer = (description.rules || []).some(
+        (rule) => rule.name === "integer"
+      );
+      const min = ruleArg(description, "min");
+      const max = ruleArg(description, "max");
+
+      schema = { type: integer ? "integer" : "number" };
+      if (min) schema.minimum = min.limit;
+      if (max) schema.maximum = max.limit;
+      break;
+    }
+    case "boolean":
+      schema = { type: "boolean" };
+      break;
+    case "date":
+      schema = { type: "string", format: "date" };
+      break;
+    default:
+      schema = {};
+  }
+
+  if (flags.only) {
+    schema.enum = allow;
+  }
+  if (allow.includes(null)) {
+    schema = { anyOf: [schema, { type: "null" }] };
+  }
+  if (flags.description) {
+    schema.description = flags.description;
+  }
+
+  return schema;
+};
+
+// JSON Schema (draft 2020-12) for a Joi schema
+const toJsonSchema = (joiSchema, extra = {}) => ({
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  ...extra,
+  ...describeToJsonSchema(joiSchema.describe()),
+});
+
+module.exports = { toJsonSchema };
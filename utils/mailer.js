@@ -0,0 +1,93 @@
+// utils/mailer.js
+const fs = require("fs/promises");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+// SMTP for real delivery
+const smtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    name: "smtp",
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+// Writes every message as a JSON file, for local development and tests
+const fileTransport = () => {
+  const dir = path.resolve(process.env.MAIL_OUTPUT_DIR || "tmp/mail");
+
+  return {
+    name: "file",
+    async send(message) {
+      const messageId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(
+        path.join(dir, `${messageId}.json`),
+        JSON.stringify(message, null, 2)
+      );
+      return { messageId };
+    },
+  };
+};
+
+// Prints messages to the console
+const consoleTransport = () => ({
+  name: "console",
+  async send(message) {
+    console.log(
+      `[mail] to=${message.to} subject="${message.subject}"\n${message.text}`
+    );
+    return { messageId: null };
+  },
+});
+
+const transports = {
+  smtp: smtpTransport,
+  file: fileTransport,
+  console: consoleTransport,
+};
+let transport;
+
+// Transport picked by MAIL_TRANSPORT. It has no default, so a deployment
+// never prints messages (invitation links included) to the logs by mistake.
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT;
+
+    if (!name) {
+      throw new Error(
+        `MAIL_TRANSPORT is not set (one of ${Object.keys(transports).join(", ")})`
+      );
+    }
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+    if (name === "smtp" && !process.env.SMTP_HOST) {
+      throw new Error("SMTP_HOST is not set for the smtp mail transport");
+    }
+    transport = transports[name]();
+  }
+  return transport;
+};
+
+const sendMail = ({ to, subject, text, html }) =>
+  getTransport().send({
+    from: process.env.MAIL_FROM || "MMO Onboarding <no-reply@localhost>",
+    to,
+    subject,
+    text,
+    html,
+  });
+
+module.exports = { getTransport, sendMail };
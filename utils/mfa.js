@@ -0,0 +1,216 @@
+// utils/mfa.js
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const { supabaseAdmin } = require("../config/supabase");
+const { getSetting } = require("./settings");
+
+const RECOVERY_CODE_COUNT = 10;
+
+// supabase-js only runs MFA calls against its own stored session, so talk to
+// the Supabase Auth API directly on behalf of the user's access token
+const authRequest = async (
+  path,
+  accessToken,
+  { method = "POST", body } = {}
+) => {
+  const response = await fetch(`${process.env.SUPABASE_URL}/auth/v1${path}`, {
+    method,
+    headers: {
+      apikey: process.env.SUPABASE_ANON_KEY,
+      Authorization: `Bearer ${accessToken}`,
+      "Content-Type": "application/json",
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    return {
+      data: null,
+      error: {
+        status: response.status,
+        message:
+          data.msg || data.message || data.error_description || "MFA error",
+      },
+    };
+  }
+
+  return { data, error: null };
+};
+
+// Start TOTP enrollment; the response carries the secret and otpauth URI
+const enrollTotp = (accessToken, friendlyName) =>
+  authRequest("/factors", accessToken, {
+    body: {
+      factor_type: "totp",
+      friendly_name: friendlyName,
+      issuer: process.env.MFA_ISSUER || "MMO",
+    },
+  });
+
+// Verify a TOTP code. Resolves to an upgraded (aal2) session on success.
+const verifyTotp = async (accessToken, factorId, code) => {
+  const { data: challenge, error: challengeError } = await authRequest(
+    `/factors/${factorId}/challenge`,
+    accessToken
+  );
+
+  if (challengeError) {
+    return { data: null, error: challengeError };
+  }
+
+  return authRequest(`/factors/${factorId}/verify`, accessToken, {
+    body: { challenge_id: challenge.id, code },
+  });
+};
+
+const unenrollFactor = (accessToken, factorId) =>
+  authRequest(`/factors/${factorId}`, accessToken, { method: "DELETE" });
+
+// Authenticator assurance level of an access token ("aal1" or "aal2").
+// Only call this on tokens already validated by supabase.auth.getUser.
+const getAssuranceLevel = (accessToken) => {
+  try {
+    const payload = JSON.parse(
+      Buffer.from(accessToken.split(".")[1], "base64url").toString("utf8")
+    );
+    return payload.aal || "aal1";
+  } catch (error) {
+    return "aal1";
+  }
+};
+
+const getVerifiedFactors = (user) =>
+  (user.factors || []).filter((factor) => factor.status === "verified");
+
+// Roles that must have a verified factor before using the API
+const getMfaRequiredRoles = () => getSetting("mfa_required_roles", []);
+
+// Replace a user's recovery codes. Only hashes are stored, so the clear
+// codes are returned once for the user to save.
+const generateRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  const { error: deleteError } = await supabaseAdmin
+    .from("mfa_recovery_codes")
+    .delete()
+    .eq("user_id", userId);
+
+  if (deleteError) {
+    throw deleteError;
+  }
+
+  const { error } = await supabaseAdmin.from("mfa_recovery_codes").insert(
+    await Promise.all(
+      codes.map(async (code) => ({
+        user_id: userId,
+        code_hash: await bcrypt.hash(code, 10),
+        created_at: new Date().toISOString(),
+      }))
+    )
+  );
+
+  if (error) {
+    throw error;
+  }
+
+  return codes;
+};
+
+// Mark a matching unused recovery code as used. Resolves to true on a match.
+const consumeRecoveryCode = async (userId, code) => {
+  const { data, error } = await supabaseAdmin
+    .from("mfa_recovery_codes")
+    .select("id, code_hash")
+    .eq("user_id", userId)
+    .is("used_at", null);
+
+  if (error) {
+    throw error;
+  }
+
+  for (const row of data) {
+    if (await bcrypt.compare(code.trim().toLowerCase(), row.code_hash)) {
+      // Only the request that flips used_at gets the code, so two
+      // concurrent logins can't both use it
+      const { data: used, error: updateError } = await supabaseAdmin
+        .from("mfa_recovery_codes")
+        .update({ used_at: new Date().toISOString() })
+        .eq("id", row.id)
+        .is("used_at", null)
+        .select("id");
+
+      if (updateError) {
+        throw updateError;
+      }
+      return used.length > 0;
+    }
+  }
+
+  return false;
+};
+
+const countRecoveryCodes = async (userId) => {
+  const { count, error } = await supabaseAdmin
+    .from("mfa_recovery_codes")
+    .select("id", { count: "exact", head: true })
+    .eq("user_id", userId)
+    .is("used_at", null);
+
+  if (error) {
+    throw error;
+  }
+
+  return count;
+};
+
+// Remove every MFA factor and recovery code of a user (admin reset or
+// recovery code login)
+const resetUserMfa = async (userId) => {
+  const { data, error } = await supabaseAdmin.auth.admin.mfa.listFactors({
+    userId,
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  for (const factor of data.factors) {
+    const { error: deleteError } =
+      await supabaseAdmin.auth.admin.mfa.deleteFactor({
+        id: factor.id,
+        userId,
+      });
+
+    if (deleteError) {
+      throw deleteError;
+    }
+  }
+
+  const { error: codesError } = await supabaseAdmin
+    .from("mfa_recovery_codes")
+    .delete()
+    .eq("user_id", userId);
+
+  if (codesError) {
+    throw codesError;
+  }
+
+  return data.factors.length;
+};
+
+module.exports = {
+  enrollTotp,
+  verifyTotp,
+  unenrollFactor,
+  getAssuranceLevel,
+  getVerifiedFactors,
+  getMfaRequiredRoles,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  countRecoveryCodes,
+  resetUserMfa,
+};
@@ -0,0 +1,187 @@
+// utils/nacha.js
+
+const RECORD_LENGTH = 94;
+const BLOCKING_FACTOR = 10;
+
+// Prenote transaction codes: zero-dollar credits that let the receiving
+// bank confirm the account before the first live payroll deposit
+const PRENOTE_TRANSACTION_CODES = { checking: "23", savings: "33" };
+
+// Discretionary data on each entry, telling payroll whether the whole net
+// pay or only part of it goes to the account
+const DEPOSIT_TYPE_CODES = { full_amount: "FA", partial_amount: "PA" };
+
+// ABA routing number checksum: weights 3, 7, 1 repeated over nine digits
+const isValidRoutingNumber = (value) => {
+  if (!/^\d{9}$/.test(value || "")) return false;
+
+  const weights = [3, 7, 1, 3, 7, 1, 3, 7, 1];
+  const sum = weights.reduce(
+    (acc, weight, index) => acc + weight * Number(value[index]),
+    0
+  );
+  return sum % 10 === 0;
+};
+
+// NACHA fields are upper-case ASCII, left-justified alphanumerics and
+// zero-padded numerics
+const alpha = (value, length) =>
+  String(value || "")
+    .normalize("NFD")
+    .replace(/[^\x20-\x7E]/g, "")
+    .toUpperCase()
+    .slice(0, length)
+    .padEnd(length, " ");
+
+const numeric = (value, length) =>
+  String(value || 0)
+    .replace(/\D/g, "")
+    .slice(-length)
+    .padStart(length, "0");
+
+// Dates and times are written in UTC, so a date-only effective date such
+// as 2026-10-20 (midnight UTC) doesn't shift a day with the server timezone
+const formatDate = (date) =>
+  [date.getUTCFullYear() % 100, date.getUTCMonth() + 1, date.getUTCDate()]
+    .map((part) => String(part).padStart(2, "0"))
+    .join("");
+
+const formatTime = (date) =>
+  [date.getUTCHours(), date.getUTCMinutes()]
+    .map((part) => String(part).padStart(2, "0"))
+    .join("");
+
+// Originator details come from the environment
+const getNachaConfig = () => {
+  const config = {
+    immediateDestination: process.env.NACHA_IMMEDIATE_DESTINATION,
+    immediateDestinationName: process.env.NACHA_IMMEDIATE_DESTINATION_NAME,
+    immediateOrigin: process.env.NACHA_IMMEDIATE_ORIGIN,
+    immediateOriginName: process.env.NACHA_IMMEDIATE_ORIGIN_NAME,
+    companyName: process.env.NACHA_COMPANY_NAME,
+    companyId: process.env.NACHA_COMPANY_ID,
+    originatingDfi: process.env.NACHA_ORIGINATING_DFI,
+  };
+
+  const missing = Object.keys(config).filter((key) => !config[key]);
+  if (missing.length) {
+    throw new Error(
+      `NACHA export is not configured (missing ${missing.join(", ")})`
+    );
+  }
+  return config;
+};
+
+// Build a PPD prenote file with one entry per authorization. Entries are
+// { routing_number, account_number, account_type, deposit_type,
+// employee_id, employee_name } with clear bank details.
+const buildPrenoteFile = (
+  entries,
+  { effectiveDate, now = new Date() } = {}
+) => {
+  const config = getNachaConfig();
+  const batchNumber = 1;
+  const companyId = alpha(config.companyId, 10);
+  const odfi = numeric(config.originatingDfi, 8);
+
+  const entryRecords = entries.map((entry, index) =>
+    [
+      "6",
+      PRENOTE_TRANSACTION_CODES[entry.account_type],
+      entry.routing_number.slice(0, 8),
+      entry.routing_number[8],
+      alpha(entry.account_number, 17),
+      numeric(0, 10),
+      alpha(entry.employee_id, 15),
+      alpha(entry.employee_name, 22),
+      alpha(DEPOSIT_TYPE_CODES[entry.deposit_type], 2),
+      "0",
+      odfi,
+      numeric(index + 1, 7),
+    ].join("")
+  );
+
+  const entryHash = numeric(
+    entries.reduce(
+      (sum, entry) => sum + Number(entry.routing_number.slice(0, 8)),
+      0
+    ),
+    10
+  );
+
+  const records = [
+    [
+      "1",
+      "01",
+      ` ${numeric(config.immediateDestination, 9)}`,
+      alpha(config.immediateOrigin, 10).replace(/ +$/, "").padStart(10, " "),
+      formatDate(now),
+      formatTime(now),
+      "A",
+      "094",
+      numeric(BLOCKING_FACTOR, 2),
+      "1",
+      alpha(config.immediateDestinationName, 23),
+      alpha(config.immediateOriginName, 23),
+      alpha("", 8),
+    ].join(""),
+    [
+      "5",
+      "220",
+      alpha(config.companyName, 16),
+      alpha("", 20),
+      companyId,
+      "PPD",
+      alpha("PRENOTE", 10),
+      formatDate(now),
+      formatDate(effectiveDate || now),
+      alpha("", 3),
+      "1",
+      odfi,
+      numeric(batchNumber, 7),
+    ].join(""),
+    ...entryRecords,
+    [
+      "8",
+      "220",
+      numeric(entries.length, 6),
+      entryHash,
+      numeric(0, 12),
+      numeric(0, 12),
+      companyId,
+      alpha("", 19),
+      alpha("", 6),
+      odfi,
+      numeric(batchNumber, 7),
+    ].join(""),
+  ];
+
+  const blockCount = Math.ceil((records.length + 1) / BLOCKING_FACTOR);
+
+  records.push(
+    [
+      "9",
+      numeric(1, 6),
+      numeric(blockCount, 6),
+      numeric(entries.length, 8),
+      entryHash,
+      numeric(0, 12),
+      numeric(0, 12),
+      alpha("", 39),
+    ].join("")
+  );
+
+  // Fill the last block with all-nines padding records
+  while (records.length % BLOCKING_FACTOR) {
+    records.push("9".repeat(RECORD_LENGTH));
+  }
+
+  return `${records.join("\n")}\n`;
+};
+
+module.exports = {
+  PRENOTE_TRANSACTION_CODES,
+  isValidRoutingNumber,
+  getNachaConfig,
+  buildPrenoteFile,
+};
@@ -0,0 +1,131 @@
+// utils/notifications.js
+const { supabaseAdmin } = require("../config/supabase");
+const { getTransport, sendMail } = require("./mailer");
+const { renderTemplate } = require("./emailTemplates");
+
+const logEmail = async (entry) => {
+  const { error } = await supabaseAdmin.from("email_log").insert({
+    ...entry,
+    created_at: new Date().toISOString(),
+  });
+
+  if (error) {
+    console.error("Error recording email log:", error);
+  }
+};
+
+// Render and send a templated email, recording the outcome in email_log.
+// Never throws: a failed email must not fail the request that triggered it.
+const sendEmail = async (template, to, data = {}, { userId = null } = {}) => {
+  let subject = null;
+  let transportName = null;
+
+  try {
+    const content = renderTemplate(template, data);
+    subject = content.subject;
+    transportName = getTransport().name;
+
+    const { messageId } = await sendMail({ to, ...content });
+
+    await logEmail({
+      user_id: userId,
+      template,
+      recipient: to,
+      subject,
+      transport: transportName,
+      status: "sent",
+      message_id: messageId,
+    });
+    return true;
+  } catch (error) {
+    console.error(`Error sending ${template} email:`, error);
+
+    await logEmail({
+      user_id: userId,
+      template,
+      recipient: to,
+      subject,
+      transport: transportName,
+      status: "failed",
+      error: error.message,
+    });
+    return false;
+  }
+};
+
+// In-app notifications shown in the user's inbox
+const createNotifications = async (notifications) => {
+  if (!notifications.length) {
+    return [];
+  }
+
+  const now = new Date().toISOString();
+  const { data, error } = await supabaseAdmin
+    .from("notifications")
+    .insert(
+      notifications.map((notification) => ({
+        urgency: "info",
+        metadata: {},
+        ...notification,
+        read_at: null,
+        created_at: now,
+      }))
+    )
+    .select();
+
+  if (error) {
+    throw error;
+  }
+  return data;
+};
+
+const listNotifications = async (
+  userId,
+  { unreadOnly = false, limit = 50 }
+) => {
+  let query = supabaseAdmin
+    .from("notifications")
+    .select("*", { count: "exact" })
+    .eq("user_id", userId)
+    .order("created_at", { ascending: false })
+    .limit(limit);
+
+  if (unreadOnly) query = query.is("read_at", null);
+
+  return query;
+};
+
+const countUnreadNotifications = async (userId) => {
+  const { count, error } = await supabaseAdmin
+    .from("notifications")
+    .select("id", { count: "exact", head: true })
+    .eq("user_id", userId)
+    .is("read_at", null);
+
+  if (error) {
+    throw error;
+  }
+  return count || 0;
+};
+
+// Mark one of a user's notifications, or all their unread ones, as read
+const markNotificationsRead = async (userId, notificationId = null) => {
+  let query = supabaseAdmin
+    .from("notifications")
+    .update({ read_at: new Date().toISOString() })
+    .eq("user_id", userId);
+
+  query = notificationId
+    ? query.eq("id", notificationId)
+    : query.is("read_at", null);
+
+  return query.select();
+};
+
+module.exports = {
+  sendEmail,
+  createNotifications,
+  listNotifications,
+  countUnreadNotifications,
+  markNotificationsRead,
+};
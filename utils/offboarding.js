@@ -0,0 +1,137 @@
+// utils/offboarding.js
+const { supabase, supabaseAdmin } = require("../config/supabase");
+const {
+  OFFBOARDING_TASKS,
+  LOGIN_BAN_DURATION,
+} = require("../config/offboarding");
+
+// Ban or unban a user's Supabase Auth account. A banned user can neither
+// sign in nor refresh a session; access tokens already issued are turned
+// away by the auth middleware once the profile is inactive.
+const setLoginEnabled = async (userId, enabled) => {
+  const { error } = await supabaseAdmin.auth.admin.updateUserById(userId, {
+    ban_duration: enabled ? "none" : LOGIN_BAN_DURATION,
+  });
+
+  if (error) {
+    console.error(`Error ${enabled ? "enabling" : "disabling"} login:`, error);
+  }
+  return { error };
+};
+
+const isChecklistComplete = (tasks) =>
+  Object.keys(OFFBOARDING_TASKS).every(
+    (task) => tasks[task] && tasks[task].completed
+  );
+
+// Open an offboarding record with every checklist task pending
+const startOffboarding = async (
+  userId,
+  { terminationDate, reason, notes, initiatedBy }
+) => {
+  const tasks = Object.keys(OFFBOARDING_TASKS).reduce((acc, task) => {
+    acc[task] = {
+      completed: false,
+      completed_at: null,
+      completed_by: null,
+      notes: null,
+    };
+    return acc;
+  }, {});
+
+  return supabase
+    .from("offboardings")
+    .insert({
+      user_id: userId,
+      termination_date: terminationDate,
+      termination_reason: reason,
+      notes: notes || null,
+      tasks,
+      initiated_by: initiatedBy,
+      completed_at: null,
+      reactivated_at: null,
+      reactivated_by: null,
+      created_at: new Date().toISOString(),
+    })
+    .select()
+    .single();
+};
+
+// Every offboarding of a user, most recent first. Rehired employees keep
+// their earlier records, closed with reactivated_at.
+const listOffboardings = (userId) =>
+  supabase
+    .from("offboardings")
+    .select("*")
+    .eq("user_id", userId)
+    .order("created_at", { ascending: false });
+
+// The offboarding a deactivated user is currently going through
+const getOpenOffboarding = async (userId) => {
+  const { data, error } = await supabase
+    .from("offboardings")
+    .select("*")
+    .eq("user_id", userId)
+    .is("reactivated_at", null)
+    .order("created_at", { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+  return data[0] || null;
+};
+
+// Check a checklist task off, or reopen it. The offboarding is complete
+// once every task is.
+const updateOffboardingTask = (
+  offboarding,
+  task,
+  { completed, notes, userId }
+) => {
+  const previous = (offboarding.tasks || {})[task] || {};
+  const tasks = {
+    ...offboarding.tasks,
+    [task]: {
+      completed,
+      completed_at: completed ? new Date().toISOString() : null,
+      completed_by: completed ? userId : null,
+      notes: notes !== undefined ? notes || null : previous.notes || null,
+    },
+  };
+
+  return supabase
+    .from("offboardings")
+    .update({
+      tasks,
+      completed_at: isChecklistComplete(tasks)
+        ? offboarding.completed_at || new Date().toISOString()
+        : null,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", offboarding.id)
+    .select()
+    .single();
+};
+
+// Close an offboarding when the employee is rehired
+const closeOffboarding = (offboardingId, { reactivatedBy }) =>
+  supabase
+    .from("offboardings")
+    .update({
+      reactivated_at: new Date().toISOString(),
+      reactivated_by: reactivatedBy,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", offboardingId)
+    .select()
+    .single();
+
+module.exports = {
+  setLoginEnabled,
+  startOffboarding,
+  listOffboardings,
+  getOpenOffboarding,
+  updateOffboardingTask,
+  closeOffboarding,
+};
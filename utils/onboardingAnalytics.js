@@ -0,0 +1,190 @@
+// utils/onboardingAnalytics.js
+const { supabase, supabaseAdmin } = require("../config/supabase");
+const { FORM_TYPES } = require("../config/forms");
+const { fetchAll } = require("./pagination");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const median = (values) => {
+  if (!values.length) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const average = (values) =>
+  values.length
+    ? values.reduce((sum, value) => sum + value, 0) / values.length
+    : null;
+
+// Monday (UTC) of the week a date falls in, as YYYY-MM-DD
+const weekStart = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day.toISOString().slice(0, 10);
+};
+
+const inRange = (date, from, to) =>
+  !!date && new Date(date) >= from && new Date(date) <= to;
+
+const getProgress = (employee) => {
+  const progress = employee.onboarding_progress;
+  return (Array.isArray(progress) ? progress[0] : progress) || {};
+};
+
+// Completion rate of employees grouped by a users column
+const completionBy = (employees, column) => {
+  const groups = {};
+
+  for (const employee of employees) {
+    const key = employee[column] || "Unassigned";
+    groups[key] = groups[key] || { total: 0, completed: 0 };
+    groups[key].total += 1;
+    if (employee.onboarding_status === "completed") {
+      groups[key].completed += 1;
+    }
+  }
+
+  return Object.entries(groups)
+    .map(([name, { total, completed }]) => ({
+      [column]: name,
+      total,
+      completed,
+      completion_rate: round((completed / total) * 100),
+    }))
+    .sort((a, b) => b.total - a.total);
+};
+
+// Onboarding metrics for employees hired (users.created_at) between from
+// and to, optionally in one department. Durations and completions count
+// onboardings completed in the same window.
+const getOnboardingAnalytics = async ({ from, to, department }) => {
+  const employees = await fetchAll(() => {
+    let query = supabase
+      .from("users")
+      .select(
+        `
+        id, department, position, onboarding_status, created_at,
+        onboarding_progress (started_at, completed_at, form_status)
+      `
+      )
+      .eq("role", "employee")
+      .order("id");
+
+    if (department) query = query.eq("department", department);
+    return query;
+  });
+
+  const hired = employees.filter((employee) =>
+    inRange(employee.created_at, from, to)
+  );
+  const completed = employees.filter((employee) =>
+    inRange(getProgress(employee).completed_at, from, to)
+  );
+
+  // Status counts
+  const byStatus = { pending: 0, in_progress: 0, submitted: 0, completed: 0 };
+  for (const employee of hired) {
+    const status = employee.onboarding_status || "pending";
+    byStatus[status] = (byStatus[status] || 0) + 1;
+  }
+
+  // Days from starting onboarding to completion
+  const durations = completed
+    .map((employee) => {
+      const { started_at, completed_at } = getProgress(employee);
+      return (new Date(completed_at) - new Date(started_at)) / DAY_MS;
+    })
+    .filter((days) => Number.isFinite(days) && days >= 0);
+
+  // Required forms still missing for employees who haven't completed
+  const forms = FORM_TYPES.reduce((acc, form) => {
+    acc[form.type] = {
+      form_type: form.type,
+      title: form.title,
+      missing: 0,
+      rejected: 0,
+    };
+    return acc;
+  }, {});
+
+  for (const employee of hired) {
+    if (employee.onboarding_status === "completed") continue;
+
+    const formStatus = getProgress(employee).form_status || {};
+    for (const form of FORM_TYPES.filter((item) => item.required)) {
+      const status = formStatus[form.type] || "not_started";
+      if (["not_started", "rejected", "needs_changes"].includes(status)) {
+        forms[form.type].missing += 1;
+      }
+    }
+  }
+
+  // Rejections and change requests made in the window
+  const employeeIds = new Set(employees.map((employee) => employee.id));
+  const reviews = await fetchAll(() =>
+    supabaseAdmin
+      .from("audit_logs")
+      .select("id, target_id, metadata")
+      .eq("action", "form.review")
+      .in("after->>review_status", ["rejected", "needs_changes"])
+      .gte("created_at", from.toISOString())
+      .lte("created_at", to.toISOString())
+      .order("id")
+  );
+
+  for (const review of reviews) {
+    const formType = review.metadata && review.metadata.form_type;
+    if (forms[formType] && employeeIds.has(review.target_id)) {
+      forms[formType].rejected += 1;
+    }
+  }
+
+  // Week-by-week new hires vs completions
+  const weeks = {};
+  for (
+    let week = new Date(weekStart(from));
+    week <= to;
+    week = new Date(week.getTime() + 7 * DAY_MS)
+  ) {
+    const key = week.toISOString().slice(0, 10);
+    weeks[key] = { week_start: key, new_hires: 0, completed: 0 };
+  }
+  for (const employee of hired) {
+    weeks[weekStart(employee.created_at)].new_hires += 1;
+  }
+  for (const employee of completed) {
+    weeks[weekStart(getProgress(employee).completed_at)].completed += 1;
+  }
+
+  const formList = Object.values(forms);
+
+  return {
+    range: { from: from.toISOString(), to: to.toISOString() },
+    department: department || null,
+    total_employees: hired.length,
+    by_status: byStatus,
+    completion_time_days: {
+      completed: durations.length,
+      median: durations.length ? round(median(durations)) : null,
+      average: durations.length ? round(average(durations)) : null,
+    },
+    completion_by_department: completionBy(hired, "department"),
+    completion_by_position: completionBy(hired, "position"),
+    most_missing_forms: [...formList]
+      .filter((form) => form.missing)
+      .sort((a, b) => b.missing - a.missing),
+    most_rejected_forms: [...formList]
+      .filter((form) => form.rejected)
+      .sort((a, b) => b.rejected - a.rejected),
+    weekly_trend: Object.values(weeks),
+  };
+};
+
+module.exports = { getOnboardingAnalytics };
@@ -0,0 +1,178 @@
+// utils/onboardingProgress.js
+const { supabase } = require("../config/supabase");
+const { FORM_TYPES } = require("../config/forms");
+const { sendEmail } = require("./notifications");
+
+// Review states that count a form as handed in
+const SUBMITTED_STATUSES = ["pending", "approved"];
+
+// Derive the overall onboarding status from the per-form checklist
+const deriveStatus = (checklist) => {
+  const required = checklist.filter((form) => form.required);
+
+  if (required.every((form) => form.status === "approved")) {
+    return "completed";
+  }
+  if (required.every((form) => SUBMITTED_STATUSES.includes(form.status))) {
+    return "submitted";
+  }
+  if (checklist.some((form) => form.status !== "not_started")) {
+    return "in_progress";
+  }
+  return "pending";
+};
+
+// Build the per-form checklist from the latest submission of every form
+const getOnboardingChecklist = async (userId) => {
+  const checklist = [];
+
+  for (const form of FORM_TYPES) {
+    const { data, error } = await supabase
+      .from(form.table)
+      .select("id, review_status, created_at")
+      .eq("user_id", userId)
+      .order("created_at", { ascending: false })
+      .limit(1);
+
+    if (error) {
+      throw error;
+    }
+
+    const latest = data[0];
+    const status = latest ? latest.review_status || "pending" : "not_started";
+
+    checklist.push({
+      form_type: form.type,
+      table: form.table,
+      title: form.title,
+      required: form.required,
+      status,
+      done: SUBMITTED_STATUSES.includes(status),
+      form_id: latest ? latest.id : null,
+      submitted_at: latest ? latest.created_at : null,
+    });
+  }
+
+  return checklist;
+};
+
+// Recompute onboarding_progress and users.onboarding_status for a user.
+// submitted_at is set once every required form is in, completed_at once
+// every required form has been approved.
+const computeOnboardingProgress = async (userId) => {
+  const checklist = await getOnboardingChecklist(userId);
+  const required = checklist.filter((form) => form.required);
+  const submittedCount = required.filter((form) => form.done).length;
+  const approvedCount = required.filter(
+    (form) => form.status === "approved"
+  ).length;
+  const status = deriveStatus(checklist);
+  const now = new Date().toISOString();
+
+  const { data: existing, error: fetchError } = await supabase
+    .from("onboarding_progress")
+    .select("*")
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  const fields = {
+    forms_submitted: submittedCount,
+    forms_approved: approvedCount,
+    total_required_forms: required.length,
+    percent_complete: required.length
+      ? Math.round((submittedCount / required.length) * 100)
+      : 100,
+    form_status: checklist.reduce((acc, form) => {
+      acc[form.form_type] = form.status;
+      return acc;
+    }, {}),
+    submitted_at:
+      status === "submitted" || status === "completed"
+        ? (existing && existing.submitted_at) || now
+        : null,
+    completed_at:
+      status === "completed"
+        ? (existing && existing.completed_at) || now
+        : null,
+    updated_at: now,
+  };
+
+  const query = existing
+    ? supabase.from("onboarding_progress").update(fields).eq("user_id", userId)
+    : supabase
+        .from("onboarding_progress")
+        .insert({ user_id: userId, started_at: now, ...fields });
+
+  const { data: progress, error: progressError } = await query
+    .select()
+    .single();
+
+  if (progressError) {
+    throw progressError;
+  }
+
+  const { data: user, error: userError } = await supabase
+    .from("users")
+    .select("id, email, full_name, onboarding_status")
+    .eq("id", userId)
+    .single();
+
+  if (userError) {
+    throw userError;
+  }
+
+  const { error: updateError } = await supabase
+    .from("users")
+    .update({ onboarding_status: status, updated_at: now })
+    .eq("id", userId);
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  if (status === "completed" && user.onboarding_status !== "completed") {
+    await sendEmail("onboarding_completed", user.email, user, { userId });
+  }
+
+  return { status, progress, checklist };
+};
+
+// Read-only view of a user's onboarding: the checklist, the status it
+// implies and the stored progress record
+const getOnboardingProgress = async (userId) => {
+  const checklist = await getOnboardingChecklist(userId);
+
+  const { data: progress, error } = await supabase
+    .from("onboarding_progress")
+    .select("*")
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return { status: deriveStatus(checklist), progress, checklist };
+};
+
+// Same as computeOnboardingProgress, but never fails the calling request
+const refreshOnboardingProgress = async (userId) => {
+  try {
+    return await computeOnboardingProgress(userId);
+  } catch (error) {
+    console.error("Error refreshing onboarding progress:", error);
+    return null;
+  }
+};
+
+module.exports = {
+  SUBMITTED_STATUSES,
+  getOnboardingChecklist,
+  getOnboardingProgress,
+  computeOnboardingProgress,
+  refreshOnboardingProgress,
+};
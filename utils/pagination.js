@@ -0,0 +1,178 @@
+// utils/pagination.js
+const Joi = require("joi");
+const { quoteFilterValue } = require("./access");
+
+const MAX_PAGE_SIZE = 100;
+
+// PostgREST caps a response at 1000 rows
+const FETCH_PAGE_SIZE = 1000;
+
+// Sort options for user listings, mapped to users columns
+const USER_SORT_COLUMNS = {
+  name: "full_name",
+  start_date: "start_date",
+  created_at: "created_at",
+  onboarding_status: "onboarding_status",
+};
+
+// Query parameters shared by the user listings. Passing `cursor` (empty
+// for the first page) switches from page numbers to cursor pagination.
+// Schemas built from these allow unknown keys, which clients already send.
+const userListQueryKeys = {
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(MAX_PAGE_SIZE).default(10),
+  cursor: Joi.string().allow("").optional(),
+  sort: Joi.string()
+    .valid(...Object.keys(USER_SORT_COLUMNS))
+    .default("created_at"),
+  order: Joi.string().valid("asc", "desc").default("desc"),
+  is_active: Joi.boolean().optional(),
+  start_date_from: Joi.date().iso().optional(),
+  start_date_to: Joi.date().iso().min(Joi.ref("start_date_from")).optional(),
+};
+
+// start_date is a date column
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+// Filters on is_active and the start_date range
+const applyUserListFilters = (query, params) => {
+  let result = query;
+
+  if (params.is_active !== undefined) {
+    result = result.eq("is_active", params.is_active);
+  }
+  if (params.start_date_from) {
+    result = result.gte("start_date", toDateString(params.start_date_from));
+  }
+  if (params.start_date_to) {
+    result = result.lte("start_date", toDateString(params.start_date_to));
+  }
+  return result;
+};
+
+const encodeCursor = (row, column) =>
+  Buffer.from(JSON.stringify({ v: row[column], id: row.id })).toString(
+    "base64url"
+  );
+
+const decodeCursor = (cursor) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    return id ? { value: v === undefined ? null : v, id } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Rows after the cursor in (column, id) order, nulls last
+const afterCursor = (query, column, ascending, { value, id }) => {
+  const sameValueLaterId = (comparison) =>
+    `and(${column}.${comparison},id.gt.${quoteFilterValue(id)})`;
+
+  if (value === null) {
+    return query.or(sameValueLaterId("is.null"));
+  }
+
+  const quoted = quoteFilterValue(value);
+  return query.or(
+    [
+      `${column}.${ascending ? "gt" : "lt"}.${quoted}`,
+      sameValueLaterId(`eq.${quoted}`),
+      `${column}.is.null`,
+    ].join(",")
+  );
+};
+
+// Sort and paginate a users query built with select(..., { count: "exact" }).
+// Resolves to { data, error, pagination }.
+const paginateUsers = async (query, params) => {
+  const column = USER_SORT_COLUMNS[params.sort];
+  const ascending = params.order === "asc";
+  const sorted = query
+    .order(column, { ascending, nullsFirst: false })
+    .order("id", { ascending: true });
+
+  if (params.cursor === undefined) {
+    const offset = (params.page - 1) * params.limit;
+    const { data, error, count } = await sorted.range(
+      offset,
+      offset + params.limit - 1
+    );
+
+    return {
+      data,
+      error,
+      pagination: {
+        page: params.page,
+        limit: params.limit,
+        total: count,
+        total_pages: Math.ceil((count || 0) / params.limit),
+        has_more: offset + (data ? data.length : 0) < (count || 0),
+        sort: params.sort,
+        order: params.order,
+      },
+    };
+  }
+
+  let cursorQuery = sorted;
+  if (params.cursor) {
+    const cursor = decodeCursor(params.cursor);
+    if (!cursor) {
+      return { error: { message: "Invalid cursor" } };
+    }
+    cursorQuery = afterCursor(sorted, column, ascending, cursor);
+  }
+
+  // One extra row tells whether another page follows
+  // No total here: the count would only cover the rows after the cursor
+  const { data, error } = await cursorQuery.limit(params.limit + 1);
+
+  if (error) {
+    return { data, error };
+  }
+
+  const page = data.slice(0, params.limit);
+  const hasMore = data.length > params.limit;
+
+  return {
+    data: page,
+    error,
+    pagination: {
+      limit: params.limit,
+      has_more: hasMore,
+      next_cursor: hasMore ? encodeCursor(page[page.length - 1], column) : null,
+      sort: params.sort,
+      order: params.order,
+    },
+  };
+};
+
+// Every row of a query, fetched a page at a time. `buildQuery` returns a
+// fresh query with a stable order on each call.
+const fetchAll = async (buildQuery) => {
+  const rows = [];
+
+  for (let offset = 0; ; offset += FETCH_PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(
+      offset,
+      offset + FETCH_PAGE_SIZE - 1
+    );
+
+    if (error) {
+      throw error;
+    }
+
+    rows.push(...data);
+
+    if (data.length < FETCH_PAGE_SIZE) {
+      return rows;
+    }
+  }
+};
+
+module.exports = {
+  userListQueryKeys,
+  applyUserListFilters,
+  paginateUsers,
+  fetchAll,
+};
@@ -0,0 +1,147 @@
+// utils/pdf.js
+const PDFDocument = require("pdfkit");
+const { maskFormFields } = require("./sensitiveFields");
+const { isDrawnReference } = require("./signatureImages");
+
+// "tb_symptoms_present" -> "Tb symptoms present"
+const humanize = (field) => {
+  const text = field.replace(/_/g, " ");
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === "") return "-";
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+  if (/^\d{4}-\d{2}-\d{2}(T|$)/.test(String(value))) {
+    return new Date(value).toLocaleDateString("en-US", { timeZone: "UTC" });
+  }
+  return String(value);
+};
+
+const isSignatureField = (field) =>
+  field.endsWith("signature") || field === "signature_date";
+
+const drawHeader = (doc, title, employee) => {
+  doc.fontSize(18).font("Helvetica-Bold").text(title, { align: "center" });
+  doc.moveDown(0.5);
+  doc
+    .fontSize(10)
+    .font("Helvetica")
+    .text(
+      `Employee: ${employee.full_name || "-"}    Employee ID: ${
+        employee.employee_id || "-"
+      }`,
+      { align: "center" }
+    );
+  doc.moveDown();
+};
+
+const drawRow = (doc, label, value) => {
+  doc.font("Helvetica-Bold").text(`${label}: `, { continued: true });
+  doc.font("Helvetica").text(formatValue(value));
+};
+
+// Drawn signatures are embedded when they are PNGs (pdfkit can't render
+// SVG); anything else is noted as kept on file
+const drawSignature = (doc, label, value, image) => {
+  if (image && image.mime_type === "image/png") {
+    doc.font("Helvetica-Bold").text(`${label}:`);
+    try {
+      doc.image(image.content, { fit: [180, 60] });
+    } catch (error) {
+      console.error("Error embedding signature image:", error);
+      doc.font("Helvetica").text("Drawn signature on file");
+    }
+    doc.moveDown(0.5);
+  } else if (isDrawnReference(value)) {
+    drawRow(doc, label, "Drawn signature on file");
+  } else {
+    drawRow(doc, label, value);
+  }
+};
+
+// Write one submitted form, ending with its signature block.
+// `signatureImages` holds drawn signature images keyed by field.
+const drawForm = (doc, form, row, employee, signatureImages = {}) => {
+  const values = maskFormFields(form.type, row);
+  const fields = Object.keys(form.schema.describe().keys);
+
+  drawHeader(doc, form.title, employee);
+  doc.fontSize(11);
+
+  for (const field of fields.filter((item) => !isSignatureField(item))) {
+    drawRow(doc, humanize(field), values[field]);
+  }
+
+  doc.moveDown();
+  doc.font("Helvetica-Bold").fontSize(12).text("Signature");
+  doc
+    .moveTo(doc.x, doc.y)
+    .lineTo(doc.page.width - 72, doc.y)
+    .stroke();
+  doc.moveDown(0.5).fontSize(11);
+
+  for (const field of fields.filter(isSignatureField)) {
+    drawSignature(doc, humanize(field), values[field], signatureImages[field]);
+  }
+  drawRow(doc, "Submitted at", row.updated_at || row.created_at);
+  drawRow(doc, "Review status", row.review_status || "pending");
+  if (row.reviewed_at) {
+    drawRow(doc, "Reviewed at", row.reviewed_at);
+  }
+};
+
+const newDocument = (title) =>
+  new PDFDocument({ size: "LETTER", margin: 72, info: { Title: title } });
+
+// PDF of a single submitted form
+const createFormPdf = (form, row, employee, signatureImages) => {
+  const doc = newDocument(form.title);
+  drawForm(doc, form, row, employee, signatureImages);
+  doc.end();
+  return doc;
+};
+
+// Onboarding packet: a cover page followed by every submitted form.
+// `forms` is a list of { form, row, signatureImages }; missing forms are
+// listed on the cover page.
+const createPacketPdf = (employee, forms) => {
+  const doc = newDocument(`Onboarding Packet - ${employee.full_name || ""}`);
+
+  drawHeader(doc, "Onboarding Packet", employee);
+  doc.fontSize(11);
+  drawRow(doc, "Email", employee.email);
+  drawRow(doc, "Department", employee.department);
+  drawRow(doc, "Position", employee.position);
+  drawRow(doc, "Start date", employee.start_date);
+  drawRow(doc, "Onboarding status", employee.onboarding_status);
+  drawRow(doc, "Generated at", new Date().toISOString());
+  doc.moveDown();
+
+  doc.font("Helvetica-Bold").fontSize(12).text("Forms");
+  doc.font("Helvetica").fontSize(11);
+  for (const { form, row } of forms) {
+    doc.text(
+      `${form.title}: ${row ? row.review_status || "pending" : "not submitted"}`
+    );
+  }
+
+  for (const { form, row, signatureImages } of forms.filter(
+    (item) => item.row
+  )) {
+    doc.addPage();
+    drawForm(doc, form, row, employee, signatureImages);
+  }
+
+  doc.end();
+  return doc;
+};
+
+// Stream a PDF document as a download
+const sendPdf = (res, doc, filename) => {
+  res.attachment(filename);
+  res.setHeader("Content-Type", "application/pdf");
+  doc.pipe(res);
+};
+
+module.exports = { createFormPdf, createPacketPdf, sendPdf };
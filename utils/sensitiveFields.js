@@ -0,0 +1,198 @@
+// utils/sensitiveFields.js
+const { supabase } = require("../config/supabase");
+const { FORM_TYPES, getFormType } = require("../config/forms");
+const {
+  encryptValue,
+  decryptValue,
+  needsReencryption,
+  maskValue,
+  isMasked,
+} = require("./encryption");
+
+const getSensitiveFields = (formType) => {
+  const form = getFormType(formType);
+  return (form && form.sensitiveFields) || [];
+};
+
+const mapSensitiveFields = (formType, values, transform) => {
+  if (!values) {
+    return values;
+  }
+
+  const result = { ...values };
+  for (const field of getSensitiveFields(formType)) {
+    if (result[field] !== undefined) {
+      result[field] = transform(result[field]);
+    }
+  }
+  return result;
+};
+
+// Encrypt the sensitive fields of a form payload before it is stored
+const encryptFormFields = (formType, values) =>
+  mapSensitiveFields(formType, values, encryptValue);
+
+// Clear values, only for internal use and the admin reveal endpoint
+const decryptFormFields = (formType, values) =>
+  mapSensitiveFields(formType, values, decryptValue);
+
+// What every normal response shows for a stored form row
+const maskFormFields = (formType, values) =>
+  mapSensitiveFields(formType, values, (value) =>
+    maskValue(decryptValue(value))
+  );
+
+// Clients echo back the masked value when a field was not changed, so keep
+// the stored value instead of saving the mask
+const keepMaskedFields = (formType, values, stored) => {
+  const result = { ...values };
+
+  for (const field of getSensitiveFields(formType)) {
+    if (isMasked(result[field]) && stored && stored[field]) {
+      result[field] = decryptValue(stored[field]);
+    }
+  }
+  return result;
+};
+
+// The first sensitive field still holding a mask once keepMaskedFields has
+// run, i.e. one with no stored value behind it
+const findUnresolvedMask = (formType, values) =>
+  getSensitiveFields(formType).find((field) => isMasked(values[field])) || null;
+
+const mapChanges = (formType, changes, transform) => {
+  const fields = getSensitiveFields(formType);
+
+  return (changes || []).map((change) =>
+    fields.includes(change.field)
+      ? { ...change, from: transform(change.from), to: transform(change.to) }
+      : change
+  );
+};
+
+const encryptChanges = (formType, changes) =>
+  mapChanges(formType, changes, encryptValue);
+
+const maskChanges = (formType, changes) =>
+  mapChanges(formType, changes, (value) => maskValue(decryptValue(value)));
+
+const pick = (row, fields) =>
+  fields.reduce((acc, field) => {
+    acc[field] = row[field];
+    return acc;
+  }, {});
+
+const reencrypt = (value) =>
+  needsReencryption(value) ? encryptValue(decryptValue(value)) : value;
+
+// Fetch every row of a table in pages so large tables aren't loaded at once
+const forEachRow = async (buildQuery, callback) => {
+  const pageSize = 500;
+
+  for (let offset = 0; ; offset += pageSize) {
+    const { data, error } = await buildQuery().range(
+      offset,
+      offset + pageSize - 1
+    );
+
+    if (error) {
+      throw error;
+    }
+
+    for (const row of data) {
+      await callback(row);
+    }
+
+    if (data.length < pageSize) {
+      return;
+    }
+  }
+};
+
+const updateRow = async (table, id, fields) => {
+  const { error } = await supabase.from(table).update(fields).eq("id", id);
+
+  if (error) {
+    throw error;
+  }
+};
+
+// Re-encrypt every stored sensitive value (form rows, revisions and drafts)
+// with the current key. Also encrypts values stored in the clear.
+const rotateFormEncryption = async () => {
+  const counts = { forms: 0, revisions: 0, drafts: 0 };
+
+  for (const form of FORM_TYPES.filter((item) => item.sensitiveFields)) {
+    const fields = form.sensitiveFields;
+
+    await forEachRow(
+      () =>
+        supabase
+          .from(form.table)
+          .select(["id", ...fields].join(", "))
+          .order("id"),
+      async (row) => {
+        if (!fields.some((field) => needsReencryption(row[field]))) return;
+
+        await updateRow(
+          form.table,
+          row.id,
+          mapSensitiveFields(form.type, pick(row, fields), reencrypt)
+        );
+        counts.forms += 1;
+      }
+    );
+
+    await forEachRow(
+      () =>
+        supabase
+          .from("form_revisions")
+          .select("id, data, changes")
+          .eq("form_type", form.type)
+          .order("id"),
+      async (row) => {
+        const data = mapSensitiveFields(form.type, row.data, reencrypt);
+        const changes = mapChanges(form.type, row.changes, reencrypt);
+        if (
+          JSON.stringify(data) === JSON.stringify(row.data) &&
+          JSON.stringify(changes) === JSON.stringify(row.changes || [])
+        ) {
+          return;
+        }
+
+        await updateRow("form_revisions", row.id, { data, changes });
+        counts.revisions += 1;
+      }
+    );
+
+    await forEachRow(
+      () =>
+        supabase
+          .from("form_drafts")
+          .select("id, data")
+          .eq("form_type", form.type)
+          .order("id"),
+      async (row) => {
+        const data = mapSensitiveFields(form.type, row.data, reencrypt);
+        if (JSON.stringify(data) === JSON.stringify(row.data)) return;
+
+        await updateRow("form_drafts", row.id, { data });
+        counts.drafts += 1;
+      }
+    );
+  }
+
+  return counts;
+};
+
+module.exports = {
+  getSensitiveFields,
+  encryptFormFields,
+  decryptFormFields,
+  maskFormFields,
+  keepMaskedFields,
+  findUnresolvedMask,
+  encryptChanges,
+  maskChanges,
+  rotateFormEncryption,
+};
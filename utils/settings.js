@@ -0,0 +1,83 @@
+// utils/settings.js
+const { supabaseAdmin } = require("../config/supabase");
+
+// Application settings live in the app_settings table as key/jsonb value
+// pairs. Values are cached briefly since some are read on every request.
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+const getSetting = async (key, defaultValue = null) => {
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from("app_settings")
+    .select("value")
+    .eq("key", key)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  const value = data ? data.value : defaultValue;
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+  return value;
+};
+
+const setSetting = async (key, value, updatedBy = null) => {
+  const { error } = await supabaseAdmin.from("app_settings").upsert(
+    {
+      key,
+      value,
+      updated_by: updatedBy,
+      updated_at: new Date().toISOString(),
+    },
+    { onConflict: "key" }
+  );
+
+  if (error) {
+    throw error;
+  }
+
+  cache.delete(key);
+  return value;
+};
+
+// Insert a setting only if it doesn't exist yet. Resolves to false when it
+// was already set, which makes it usable as a one-time flag.
+const claimSetting = async (key, value, updatedBy = null) => {
+  const { error } = await supabaseAdmin.from("app_settings").insert({
+    key,
+    value,
+    updated_by: updatedBy,
+    updated_at: new Date().toISOString(),
+  });
+
+  cache.delete(key);
+
+  if (error && error.code === "23505") {
+    return false;
+  }
+  if (error) {
+    throw error;
+  }
+  return true;
+};
+
+const deleteSetting = async (key) => {
+  const { error } = await supabaseAdmin
+    .from("app_settings")
+    .delete()
+    .eq("key", key);
+
+  cache.delete(key);
+
+  if (error) {
+    throw error;
+  }
+};
+
+module.exports = { getSetting, setSetting, claimSetting, deleteSetting };
@@ -0,0 +1,200 @@
+// utils/signatureImages.js
+const crypto = require("crypto");
+const { supabase } = require("../config/supabase");
+const {
+  SIGNATURE_IMAGE_TYPES,
+  MAX_SIGNATURE_SIZE,
+} = require("../config/signatures");
+const { getStorage } = require("./storage");
+
+// Stored forms reference a drawn signature as drawn:<sha256 of the image>
+const DRAWN_PREFIX = "drawn:";
+const DRAWN_REFERENCE = /^drawn:([a-f0-9]{64})$/;
+const DATA_URL = /^data:([a-z+/]+);base64,([A-Za-z0-9+/]+={0,2})$/;
+
+// Markup that could run script when an SVG is opened in a browser
+const UNSAFE_SVG =
+  /<script|<foreignObject|<iframe|<embed|<object|\son[a-z]+\s*=|javascript:|<!ENTITY|(?:xlink:)?href\s*=\s*(?!["']?#)|url\(\s*(?!["']?#)|@import/i;
+
+const isDrawnReference = (value) =>
+  typeof value === "string" && DRAWN_REFERENCE.test(value);
+
+const isDataUrl = (value) =>
+  typeof value === "string" && value.startsWith("data:");
+
+// Decode and check a drawn signature data URL. Resolves to
+// { mimeType, buffer } or { error }.
+const parseSignatureImage = (dataUrl) => {
+  const match = DATA_URL.exec(dataUrl || "");
+  if (!match) {
+    return { error: "must be a base64 data URL" };
+  }
+
+  const [, mimeType, base64] = match;
+  const type = SIGNATURE_IMAGE_TYPES[mimeType];
+  if (!type) {
+    return {
+      error: `must be one of ${Object.keys(SIGNATURE_IMAGE_TYPES).join(", ")}`,
+    };
+  }
+
+  const buffer = Buffer.from(base64, "base64");
+  if (!buffer.length) {
+    return { error: "is empty" };
+  }
+  if (buffer.length > MAX_SIGNATURE_SIZE) {
+    return { error: `exceeds the ${MAX_SIGNATURE_SIZE / 1024} KB limit` };
+  }
+
+  if (type.signature) {
+    if (!type.signature.every((byte, index) => buffer[index] === byte)) {
+      return { error: "content does not match its type" };
+    }
+  } else {
+    const svg = buffer.toString("utf8");
+    if (!/^\s*(<\?xml[^>]*>\s*)?<svg[\s>]/i.test(svg)) {
+      return { error: "content does not match its type" };
+    }
+    if (UNSAFE_SVG.test(svg)) {
+      return { error: "must not contain scripts or external references" };
+    }
+  }
+
+  return { mimeType, buffer };
+};
+
+// Joi custom rule for drawn signature fields: a data URL to store, or the
+// reference of a signature stored earlier
+const validateDrawnSignature = (value, helpers) => {
+  if (isDrawnReference(value)) {
+    return value;
+  }
+
+  const { error } = parseSignatureImage(value);
+  return error
+    ? helpers.message(`"${helpers.state.path.join(".")}" ${error}`)
+    : value;
+};
+
+const findSignatureImage = async (userId, hash) => {
+  const { data, error } = await supabase
+    .from("signature_images")
+    .select("*")
+    .eq("user_id", userId)
+    .eq("sha256", hash)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  return data;
+};
+
+const saveSignatureImage = async (userId, { mimeType, buffer }) => {
+  const hash = crypto.createHash("sha256").update(buffer).digest("hex");
+  const existing = await findSignatureImage(userId, hash);
+
+  if (existing) {
+    return existing;
+  }
+
+  const storage = getStorage();
+  const key = `signatures/${userId}/${hash}.${
+    SIGNATURE_IMAGE_TYPES[mimeType].extension
+  }`;
+
+  await storage.save(key, buffer, mimeType);
+
+  const { data, error } = await supabase
+    .from("signature_images")
+    .insert({
+      user_id: userId,
+      sha256: hash,
+      mime_type: mimeType,
+      size: buffer.length,
+      storage_driver: storage.name,
+      storage_key: key,
+      created_at: new Date().toISOString(),
+    })
+    .select()
+    .single();
+
+  if (error) {
+    await storage.remove(key).catch(() => {});
+    throw error;
+  }
+  return data;
+};
+
+// Store the drawn signatures in a validated submission and replace them
+// with references. References must point at the user's own signatures.
+// Resolves to { values } or { error }.
+const storeDrawnSignatures = async (userId, form, values) => {
+  const result = { ...values };
+
+  for (const field of form.signatureFields) {
+    const value = result[field];
+
+    if (isDrawnReference(value)) {
+      const hash = DRAWN_REFERENCE.exec(value)[1];
+      if (!(await findSignatureImage(userId, hash))) {
+        return {
+          error: { message: `"${field}" references an unknown signature` },
+        };
+      }
+    } else if (isDataUrl(value)) {
+      const image = parseSignatureImage(value);
+      if (image.error) {
+        return { error: { message: `"${field}" ${image.error}` } };
+      }
+      const stored = await saveSignatureImage(userId, image);
+      result[field] = `${DRAWN_PREFIX}${stored.sha256}`;
+    }
+  }
+
+  return { values: result };
+};
+
+// The drawn signature image stored in a form field, as
+// { mime_type, content }, or null when the field holds no drawn signature
+const readSignatureImage = async (userId, value) => {
+  if (!isDrawnReference(value)) {
+    return null;
+  }
+
+  const image = await findSignatureImage(
+    userId,
+    DRAWN_REFERENCE.exec(value)[1]
+  );
+  if (!image) {
+    return null;
+  }
+
+  return {
+    mime_type: image.mime_type,
+    content: await getStorage(image.storage_driver).read(image.storage_key),
+  };
+};
+
+// Every drawn signature image of a stored form, keyed by field
+const readFormSignatureImages = async (form, row) => {
+  const images = {};
+
+  for (const field of form.signatureFields) {
+    try {
+      const image = row && (await readSignatureImage(row.user_id, row[field]));
+      if (image) images[field] = image;
+    } catch (error) {
+      console.error(`Error reading ${field} image:`, error);
+    }
+  }
+  return images;
+};
+
+module.exports = {
+  isDrawnReference,
+  validateDrawnSignature,
+  storeDrawnSignatures,
+  readSignatureImage,
+  readFormSignatureImages,
+};
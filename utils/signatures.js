@@ -0,0 +1,183 @@
+// utils/signatures.js
+const crypto = require("crypto");
+const { supabase } = require("../config/supabase");
+const { getFormType } = require("../config/forms");
+const { decryptFormFields } = require("./sensitiveFields");
+const { loadKeyring } = require("./encryption");
+
+// Keyed, so whoever can edit the database can't recompute a matching hash
+const HASH_ALGORITHM = "hmac-sha256";
+
+// SIGNATURE_HMAC_KEYS / SIGNATURE_HMAC_KEY_ID, in the same format as the
+// field encryption keys
+const loadSignatureKeys = () =>
+  loadKeyring("SIGNATURE_HMAC_KEYS", "SIGNATURE_HMAC_KEY_ID", "Signature");
+
+// JSON with object keys sorted at every level, so the same content always
+// serializes to the same string
+const canonicalize = (value) => {
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+// The fields of a form the employee signs: its schema fields at the time.
+// Review and bookkeeping columns are not part of what the employee signed.
+const getSignedFields = (formType) =>
+  Object.keys(getFormType(formType).schema.describe().keys);
+
+// The signed content of a stored form: the signed fields in clear text
+const getSignedContent = (formType, row, fields) => {
+  const clear = decryptFormFields(formType, row);
+
+  return fields.reduce((acc, field) => {
+    acc[field] = clear[field] === undefined ? null : clear[field];
+    return acc;
+  }, {});
+};
+
+// HMAC of the signed content together with the signing metadata, so
+// changing either afterwards is detected. The signed field list is part of
+// the signature, so adding a field to a form later leaves existing
+// signatures valid.
+const hashSignature = (formType, row, signature, key) =>
+  crypto
+    .createHmac("sha256", key)
+    .update(
+      canonicalize({
+        form_type: formType,
+        form_id: row.id,
+        user_id: row.user_id,
+        signed_by: signature.signed_by,
+        // Normalised, as the database hands timestamps back in its own format
+        signed_at: new Date(signature.signed_at).toISOString(),
+        ip_address: signature.ip_address,
+        user_agent: signature.user_agent,
+        signed_fields: signature.signed_fields,
+        content: getSignedContent(formType, row, signature.signed_fields),
+      })
+    )
+    .digest("hex");
+
+// Record who signed a stored form submission, when and from where, with
+// the hash of exactly what was signed
+const recordSignature = async (
+  formType,
+  row,
+  { signedBy, revision, ip, userAgent }
+) => {
+  const signature = {
+    user_id: row.user_id,
+    form_type: formType,
+    form_id: row.id,
+    revision,
+    signed_by: signedBy,
+    signed_at: new Date().toISOString(),
+    ip_address: ip || null,
+    user_agent: userAgent || null,
+    signed_fields: getSignedFields(formType),
+    hash_algorithm: HASH_ALGORITHM,
+  };
+
+  let keyring;
+  try {
+    keyring = loadSignatureKeys();
+  } catch (error) {
+    return { data: null, error };
+  }
+  const { keys, currentId } = keyring;
+
+  return supabase
+    .from("form_signatures")
+    .insert({
+      ...signature,
+      key_id: currentId,
+      content_hash: hashSignature(formType, row, signature, keys[currentId]),
+    })
+    .select()
+    .single();
+};
+
+const getLatestSignature = async (formType, formId) => {
+  const { data, error } = await supabase
+    .from("form_signatures")
+    .select("*")
+    .eq("form_type", formType)
+    .eq("form_id", formId)
+    .order("signed_at", { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  return data[0] || null;
+};
+
+// Recompute the hash of a stored form and compare it with the one recorded
+// when it was signed
+const verifyFormSignature = async (formType, row) => {
+  const signature = await getLatestSignature(formType, row.id);
+
+  if (!signature) {
+    return {
+      form_id: row.id,
+      valid: false,
+      reason: "No signature record for this submission",
+      signature: null,
+    };
+  }
+
+  const { keys } = loadSignatureKeys();
+  const key = keys[signature.key_id];
+
+  if (signature.hash_algorithm !== HASH_ALGORITHM || !key) {
+    return {
+      form_id: row.id,
+      valid: false,
+      reason: key
+        ? `Unsupported hash algorithm "${signature.hash_algorithm}"`
+        : `Unknown signature key "${signature.key_id}"`,
+      signature: null,
+    };
+  }
+
+  const computedHash = hashSignature(formType, row, signature, key);
+  const valid =
+    computedHash.length === signature.content_hash.length &&
+    crypto.timingSafeEqual(
+      Buffer.from(computedHash),
+      Buffer.from(signature.content_hash)
+    );
+
+  return {
+    form_id: row.id,
+    valid,
+    reason: valid ? null : "Form content has changed since it was signed",
+    signature: {
+      id: signature.id,
+      revision: signature.revision,
+      signed_by: signature.signed_by,
+      signed_at: signature.signed_at,
+      ip_address: signature.ip_address,
+      user_agent: signature.user_agent,
+      signed_fields: signature.signed_fields,
+      hash_algorithm: signature.hash_algorithm,
+      key_id: signature.key_id,
+      content_hash: signature.content_hash,
+    },
+    computed_hash: computedHash,
+  };
+};
+
+module.exports = {
+  loadSignatureKeys,
+  recordSignature,
+  verifyFormSignature,
+};
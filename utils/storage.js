@@ -0,0 +1,91 @@
+// utils/storage.js
+const fs = require("fs/promises");
+const path = require("path");
+const { supabaseAdmin } = require("../config/supabase");
+
+// Local disk storage for development
+const localStorage = () => {
+  const root = path.resolve(process.env.UPLOAD_DIR || "uploads");
+
+  const resolve = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error("Invalid storage key");
+    }
+    return filePath;
+  };
+
+  return {
+    name: "local",
+    async save(key, buffer) {
+      const filePath = resolve(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+    async read(key) {
+      return fs.readFile(resolve(key));
+    },
+    async remove(key) {
+      await fs.rm(resolve(key), { force: true });
+    },
+  };
+};
+
+// Supabase Storage (object storage) for production
+const supabaseStorage = () => {
+  const bucket = process.env.STORAGE_BUCKET || "documents";
+
+  return {
+    name: "supabase",
+    async save(key, buffer, contentType) {
+      const { error } = await supabaseAdmin.storage
+        .from(bucket)
+        .upload(key, buffer, { contentType, upsert: false });
+
+      if (error) {
+        throw error;
+      }
+    },
+    async read(key) {
+      const { data, error } = await supabaseAdmin.storage
+        .from(bucket)
+        .download(key);
+
+      if (error) {
+        throw error;
+      }
+      return Buffer.from(await data.arrayBuffer());
+    },
+    async remove(key) {
+      const { error } = await supabaseAdmin.storage.from(bucket).remove([key]);
+
+      if (error) {
+        throw error;
+      }
+    },
+  };
+};
+
+const drivers = { local: localStorage, supabase: supabaseStorage };
+const instances = {};
+
+// Storage backend by name; new files go to STORAGE_DRIVER. It has no
+// default, so a deployment never keeps documents on local disk by mistake.
+const getStorage = (name) => {
+  const driver = name || process.env.STORAGE_DRIVER;
+
+  if (!driver) {
+    throw new Error(
+      `STORAGE_DRIVER is not set (one of ${Object.keys(drivers).join(", ")})`
+    );
+  }
+  if (!drivers[driver]) {
+    throw new Error(`Unknown storage driver "${driver}"`);
+  }
+  if (!instances[driver]) {
+    instances[driver] = drivers[driver]();
+  }
+  return instances[driver];
+};
+
+module.exports = { getStorage };
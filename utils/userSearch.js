@@ -0,0 +1,83 @@
+// utils/userSearch.js
+const { quoteFilterValue } = require("./access");
+
+// Searchable users columns with their ranking weight
+const SEARCH_FIELDS = {
+  full_name: 3,
+  employee_id: 3,
+  email: 2,
+  position: 1,
+};
+
+// Split a query into lower-cased tokens, dropping characters that have a
+// meaning in PostgREST filters or LIKE patterns
+const tokenize = (q) =>
+  q
+    .toLowerCase()
+    .replace(/[,()"*%\\]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 5);
+
+// Require every token to match at least one searchable column
+const applySearch = (query, tokens) =>
+  tokens.reduce(
+    (acc, token) =>
+      acc.or(
+        Object.keys(SEARCH_FIELDS)
+          .map((field) => `${field}.ilike.${quoteFilterValue(`*${token}*`)}`)
+          .join(",")
+      ),
+    query
+  );
+
+const scoreField = (value, token) => {
+  const text = String(value || "").toLowerCase();
+
+  if (!text.includes(token)) return 0;
+  if (text === token) return 10;
+  if (text.startsWith(token)) return 6;
+  if (text.split(/[\s@._-]+/).some((word) => word.startsWith(token))) {
+    return 4;
+  }
+  return 1;
+};
+
+// Bonus for names containing the words in the order they were typed, so
+// "maria g" ranks Maria Garcia above Gina Maria
+const scorePhrase = (user, tokens) => {
+  const name = String(user.full_name || "").toLowerCase();
+  const phrase = tokens.join(" ");
+
+  if (name.startsWith(phrase)) return 20;
+  if (name.includes(phrase)) return 10;
+  return 0;
+};
+
+// Order users by how well they match: exact and prefix matches on names and
+// employee IDs first, then emails, then positions
+const rankUsers = (users, tokens) =>
+  users
+    .map((user) => ({
+      user,
+      score: tokens.reduce(
+        (total, token) =>
+          total +
+          Object.entries(SEARCH_FIELDS).reduce(
+            (best, [field, weight]) =>
+              Math.max(best, weight * scoreField(user[field], token)),
+            0
+          ),
+        scorePhrase(user, tokens)
+      ),
+    }))
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        String(a.user.full_name || "").localeCompare(
+          String(b.user.full_name || "")
+        )
+    )
+    .map(({ user, score }) => ({ ...user, search_score: score }));
+
+module.exports = { tokenize, applySearch, rankUsers };